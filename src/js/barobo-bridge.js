@@ -1,64 +1,718 @@
 /**
  * This class exists for testing outside of Barobo browser.
+ *
+ * Outside of the Barobo browser, asyncBaroboBridge is replaced with a
+ * simulator which offers the same methods and signals. It models a dongle and
+ * any number of robots, each with joint angles and speeds, an LED, a buzzer, a
+ * form factor, an accelerometer and a firmware version. Requests complete
+ * asynchronously through requestComplete, and motion produces encoderEvent and
+ * jointEvent signals as it would on real hardware.
+ *
+ * The simulator itself is available as asyncBaroboBridge.simulator, e.g.
+ *   asyncBaroboBridge.simulator.addRobot('ZRG6', {formFactor: 'L'});
+ *   asyncBaroboBridge.simulator.pressButton('ZRG6', 1, 300);
  */
 var asyncBaroboBridge = (function(main) {
     "use strict";
     if (main.asyncBaroboBridge && main.asyncBaroboBridge !== null) {
         return main.asyncBaroboBridge;
     } else {
-        var _i, _j, _len, _len1, obj, signals, methods, k;
-        methods = ['listFirmwareFiles', 'connectRobot', 'disconnectRobot',
-            'getAccelerometer', 'getFormFactor', 'getJointAngles', 'getJointSpeeds', 'getJointStates',
-            'getLedColor', 'getVersions', 'resetEncoderRevs', 'setBuzzerFrequency', 'setJointSpeeds',
-            'setJointStates', 'setLedColor', 'move', 'moveContinuous', 'moveTo', 'drive', 'driveTo',
-            'motorPower', 'stop', 'enableButtonEvents', 'enableEncoderEvents', 'enableJointEvents',
-            'enableAccelerometerEvents', 'firmwareUpdate', 'sendRobotPing'];
+        var _j, _len1, obj, signals, k;
+        var TICK = 50; // Simulation step, in milliseconds.
+        var ACCEL_INTERVAL = 100;
+        var DEFAULT_SPEED = 90; // Degrees per second.
+        var epoch = Date.now();
+        var enums = {
+            Button: { A: 1, B: 2, POWER: 0},
+            ButtonState: { DOWN:1, UP: 0},
+            FormFactor: {I:0, L: 1, T: 2},
+            JointState: {FAIL: 3, HOLD: 1, MOVING: 2, STOP: 0},
+            ErrorCategories: {
+                baromesh: {
+                    OK: 0, CANNOT_OPEN_DONGLE: 1, DONGLE_NOT_FOUND: 2, PORT_OUT_OF_SYNC: 3,
+                    STRANGE_DONGLE: 4, INCOMPATIBLE_FIRMWARE: 5, ROBOT_OFFLINE: 6
+                },
+                rpc: {
+                    OK: 0, DECODING_FAILURE: 1, ENCODING_FAILURE: 2, PROTOCOL_ERROR: 3,
+                    INTERFACE_ERROR: 4, VERSION_MISMATCH: 5, INCONSISTENT_REPLY: 6
+                }
+            }
+        };
+        var OK = { category: 'baromesh', code: 0, message: '' };
+        var robots = {};
+        var ticker = null;
+        var dongle = { plugged: true };
+
         signals = ['requestComplete', 'dongleEvent', 'acquire', 'relinquish', 'buttonEvent', 'encoderEvent', 'jointEvent', 'accelerometerEvent',
             'robotEvent', 'connectionTerminated'];
         obj = {
             mock: true
         };
-        /*
-        var randomInt = function(min,max) {
-            return Math.floor(Math.random()*(max-min+1)+min);
+
+        var makeSignal = function() {
+            var slots = [];
+            return {
+                connect: function(slot) {
+                    slots.push(slot);
+                },
+                disconnect: function(slot) {
+                    var i = slots.indexOf(slot);
+                    if (i >= 0) {
+                        slots.splice(i, 1);
+                    }
+                },
+                emit: function() {
+                    var args = arguments;
+                    slots.slice().forEach(function(slot) {
+                        slot.apply(null, args);
+                    });
+                }
+            };
         };
-        var colorMap = {};
-         */
-        var emptyFunction = function() { };
-        for (_i = 0, _len = methods.length; _i < _len; _i++) {
-            k = methods[_i];
-            obj[k] = emptyFunction;
-        }
         for (_j = 0, _len1 = signals.length; _j < _len1; _j++) {
             k = signals[_j];
-            obj[k] = {
-                connect: emptyFunction,
-                disconnect: emptyFunction
-            };
+            obj[k] = makeSignal();
         }
-        obj.enumerationConstants = function() {
+
+        var now = function() {
+            return Date.now() - epoch;
+        };
+
+        var bridgeError = function(category, code, message) {
             return {
-                Button: { A: 1, B: 2, POWER: 0},
-                ButtonState: { DOWN:1, UP: 0},
-                FormFactor: {I:0, L: 1, T: 2},
-                JointState: {FAIL: 3, HOLD: 1, MOVING: 2, STOP: 0}
+                category: category,
+                code: enums.ErrorCategories[category][code],
+                message: message
+            };
+        };
+
+        // Parse the newest firmware version out of the firmware file list, so
+        // simulated robots and the dongle appear up to date.
+        var latestFirmware = function() {
+            var best = null;
+            obj.listFirmwareFiles().forEach(function(file) {
+                var m = /^v(\d+)\.(\d+)\.(\d+)\.hex$/.exec(file);
+                if (m) {
+                    var v = { major: +m[1], minor: +m[2], patch: +m[3] };
+                    if (!best || v.major > best.major ||
+                        (v.major === best.major && (v.minor > best.minor ||
+                        (v.minor === best.minor && v.patch > best.patch)))) {
+                        best = v;
+                    }
+                }
+            });
+            return best;
+        };
+
+        // Emit a signal after the simulated radio latency.
+        var later = function(signal, args) {
+            setTimeout(function() {
+                obj[signal].emit.apply(null, args);
+            }, simulator.latency + Math.random() * simulator.jitter);
+        };
+
+        var complete = function(token, error, result) {
+            later('requestComplete', [token, error, result]);
+        };
+
+        var makeRobot = function(id, options) {
+            options = options || {};
+            var formFactor = options.formFactor || 'I';
+            var joints = [0, 1, 2].map(function() {
+                return {
+                    angle: 0,
+                    speed: DEFAULT_SPEED,
+                    target: null,
+                    direction: 0,
+                    state: enums.JointState.STOP,
+                    reported: 0,
+                    stalled: false
+                };
+            });
+            return {
+                id: id,
+                formFactor: enums.FormFactor[formFactor],
+                joints: joints,
+                color: { red: 0, green: 255, blue: 0 },
+                buzzer: 0,
+                accel: { x: 0, y: 0, z: 1 },
+                version: options.version || latestFirmware(),
+                connected: false,
+                buttons: {},
+                events: { button: false, encoder: false, granularity: 5.0, joint: false, accel: false },
+                lastAccel: 0
+            };
+        };
+
+        var robotById = function(id) {
+            if (!robots.hasOwnProperty(id) && simulator.autoCreate) {
+                robots[id] = makeRobot(id);
+            }
+            return robots[id];
+        };
+
+        // The joints of a robot selected by a bridge mask, as indices.
+        var maskedJoints = function(mask) {
+            return [0, 1, 2].filter(function(j) {
+                return (mask & (1 << j)) !== 0;
+            });
+        };
+
+        var setJointState = function(robot, j, state) {
+            var joint = robot.joints[j];
+            if (joint.state !== state) {
+                joint.state = state;
+                if (robot.events.joint) {
+                    obj.jointEvent.emit(robot.id, j, state, now());
+                }
+            }
+        };
+
+        var reportEncoder = function(robot, j, force) {
+            var joint = robot.joints[j];
+            if (robot.events.encoder &&
+                (force || Math.abs(joint.angle - joint.reported) >= robot.events.granularity)) {
+                joint.reported = joint.angle;
+                obj.encoderEvent.emit(robot.id, j, joint.angle, now());
+            }
+        };
+
+        var isBusy = function() {
+            for (var id in robots) {
+                if (robots.hasOwnProperty(id)) {
+                    var robot = robots[id];
+                    if (robot.connected && robot.events.accel) {
+                        return true;
+                    }
+                    for (var j = 0; j < robot.joints.length; j++) {
+                        if (robot.joints[j].state === enums.JointState.MOVING) {
+                            return true;
+                        }
+                    }
+                }
+            }
+            return false;
+        };
+
+        var step = function(robot, dt) {
+            robot.joints.forEach(function(joint, j) {
+                if (joint.state !== enums.JointState.MOVING) {
+                    return;
+                }
+                if (joint.stalled) {
+                    joint.target = null;
+                    joint.direction = 0;
+                    reportEncoder(robot, j, true);
+                    setJointState(robot, j, enums.JointState.FAIL);
+                    return;
+                }
+                var delta = joint.speed * dt / 1000;
+                if (joint.target !== null) {
+                    var remaining = joint.target - joint.angle;
+                    if (Math.abs(remaining) <= delta) {
+                        joint.angle = joint.target;
+                        joint.target = null;
+                        reportEncoder(robot, j, true);
+                        setJointState(robot, j, enums.JointState.HOLD);
+                        return;
+                    }
+                    joint.angle += remaining > 0 ? delta : -delta;
+                } else {
+                    joint.angle += joint.direction * delta;
+                }
+                reportEncoder(robot, j, false);
+            });
+            if (robot.connected && robot.events.accel && now() - robot.lastAccel >= ACCEL_INTERVAL) {
+                robot.lastAccel = now();
+                var noise = function() {
+                    return (Math.random() - 0.5) * 0.01;
+                };
+                obj.accelerometerEvent.emit(robot.id, robot.accel.x + noise(),
+                    robot.accel.y + noise(), robot.accel.z + noise(), now());
+            }
+        };
+
+        var tick = function() {
+            for (var id in robots) {
+                if (robots.hasOwnProperty(id)) {
+                    step(robots[id], TICK);
+                }
+            }
+            if (!isBusy()) {
+                clearInterval(ticker);
+                ticker = null;
+            }
+        };
+
+        var wake = function() {
+            if (ticker === null && isBusy()) {
+                ticker = setInterval(tick, TICK);
+            }
+        };
+
+        // Run a request against a connected robot. body is called with the
+        // robot and returns the request's result.
+        var robotRequest = function(id, token, body) {
+            var robot = robots[id];
+            if (!dongle.plugged) {
+                complete(token, bridgeError('baromesh', 'DONGLE_NOT_FOUND', 'no dongle found'));
+            } else if (!robot || !robot.connected) {
+                complete(token, bridgeError('baromesh', 'ROBOT_OFFLINE', id + ' is offline'));
+            } else {
+                var result = body(robot);
+                complete(token, OK, result);
+                wake();
+            }
+        };
+
+        var startMotion = function(robot, mask, values, relative) {
+            maskedJoints(mask).forEach(function(j) {
+                var joint = robot.joints[j];
+                joint.target = relative ? joint.angle + values[j] : values[j];
+                joint.direction = 0;
+                setJointState(robot, j, enums.JointState.MOVING);
+            });
+        };
+
+        var motion = function(relative) {
+            return function(id, token, mask, a1, a2, a3) {
+                robotRequest(id, token, function(robot) {
+                    startMotion(robot, mask, [a1, a2, a3], relative);
+                });
             };
         };
+
         obj.listFirmwareFiles = function() {
             return ["v4.4.6.eeprom", "v4.4.6.hex"];
         };
+        obj.enumerationConstants = function() {
+            return enums;
+        };
         obj.configuration = {};
-        /*
-        obj.getLEDColor = function(id) {
-            if (!colorMap[id]) {
-                colorMap[id] = {red:randomInt(0,255), green:randomInt(0,255), blue:randomInt(0,255)};
+        obj.linkbotLabsVersion = function() {
+            return null;
+        };
+        obj.isTunnelActive = function() {
+            return false;
+        };
+        obj.fulfillAcquire = function() { };
+        obj.firmwareUpdate = function() { };
+        obj.saveFirmwareFile = function() { };
+
+        obj.connectRobot = function(id, token) {
+            var robot = robots[id];
+            if (!dongle.plugged) {
+                complete(token, bridgeError('baromesh', 'DONGLE_NOT_FOUND', 'no dongle found'));
+            } else if (!robot) {
+                complete(token, bridgeError('baromesh', 'ROBOT_OFFLINE', id + ' did not respond'));
+            } else {
+                robot.connected = true;
+                complete(token, OK);
+            }
+        };
+        obj.disconnectRobot = function(id, token) {
+            var robot = robots[id];
+            if (robot) {
+                robot.connected = false;
+                robot.events = { button: false, encoder: false, granularity: 5.0, joint: false, accel: false };
+            }
+            complete(token, OK);
+        };
+        obj.sendRobotPing = function(ids, token) {
+            if (!dongle.plugged) {
+                complete(token, bridgeError('baromesh', 'DONGLE_NOT_FOUND', 'no dongle found'));
+                return;
+            }
+            complete(token, OK);
+            // An empty list pings every robot in range.
+            var targets = ids.length > 0 ? ids : Object.keys(robots);
+            targets.forEach(function(id) {
+                var robot = robotById(id);
+                if (robot) {
+                    later('robotEvent', [OK, id, robot.version]);
+                }
+            });
+        };
+
+        obj.getAccelerometer = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                return { x: robot.accel.x, y: robot.accel.y, z: robot.accel.z };
+            });
+        };
+        obj.getFormFactor = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                return robot.formFactor;
+            });
+        };
+        obj.getJointAngles = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                return {
+                    values: robot.joints.map(function(joint) { return joint.angle; }),
+                    timestamp: now()
+                };
+            });
+        };
+        obj.getJointSpeeds = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                return robot.joints.map(function(joint) { return joint.speed; });
+            });
+        };
+        obj.getJointStates = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                return {
+                    values: robot.joints.map(function(joint) { return joint.state; }),
+                    timestamp: now()
+                };
+            });
+        };
+        obj.getLedColor = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                return { red: robot.color.red, green: robot.color.green, blue: robot.color.blue };
+            });
+        };
+        obj.getVersions = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                return robot.version;
+            });
+        };
+        obj.resetEncoderRevs = function(id, token) {
+            robotRequest(id, token, function(robot) {
+                robot.joints.forEach(function(joint) {
+                    joint.angle = ((joint.angle % 360) + 540) % 360 - 180;
+                    joint.reported = joint.angle;
+                });
+            });
+        };
+        obj.setBuzzerFrequency = function(id, token, freq) {
+            robotRequest(id, token, function(robot) {
+                robot.buzzer = freq;
+            });
+        };
+        obj.setJointSpeeds = function(id, token, mask, s1, s2, s3) {
+            var speeds = [s1, s2, s3];
+            robotRequest(id, token, function(robot) {
+                maskedJoints(mask).forEach(function(j) {
+                    robot.joints[j].speed = Math.abs(speeds[j]);
+                });
+            });
+        };
+        obj.setJointStates = function(id, token) {
+            robotRequest(id, token, function() { });
+        };
+        obj.setLedColor = function(id, token, r, g, b) {
+            robotRequest(id, token, function(robot) {
+                robot.color = { red: r, green: g, blue: b };
+            });
+        };
+        obj.move = motion(true);
+        obj.moveTo = motion(false);
+        obj.drive = motion(true);
+        obj.driveTo = motion(false);
+        obj.moveContinuous = function(id, token, mask, d1, d2, d3) {
+            var directions = [d1, d2, d3];
+            robotRequest(id, token, function(robot) {
+                maskedJoints(mask).forEach(function(j) {
+                    var joint = robot.joints[j];
+                    joint.target = null;
+                    joint.direction = (directions[j] > 0) - (directions[j] < 0);
+                    setJointState(robot, j, joint.direction === 0 ?
+                        enums.JointState.HOLD : enums.JointState.MOVING);
+                });
+            });
+        };
+        obj.motorPower = function(id, token, mask, p1, p2, p3) {
+            obj.moveContinuous(id, token, mask, p1, p2, p3);
+        };
+        obj.stop = function(id, token, mask) {
+            if (typeof mask === 'undefined') {
+                mask = 7;
+            }
+            robotRequest(id, token, function(robot) {
+                maskedJoints(mask).forEach(function(j) {
+                    var joint = robot.joints[j];
+                    joint.target = null;
+                    joint.direction = 0;
+                    reportEncoder(robot, j, true);
+                    setJointState(robot, j, enums.JointState.STOP);
+                });
+            });
+        };
+        obj.enableButtonEvents = function(id, token, enable) {
+            robotRequest(id, token, function(robot) {
+                robot.events.button = enable;
+            });
+        };
+        obj.enableEncoderEvents = function(id, token, granularity, enable) {
+            robotRequest(id, token, function(robot) {
+                robot.events.encoder = enable;
+                robot.events.granularity = granularity;
+            });
+        };
+        obj.enableJointEvents = function(id, token, enable) {
+            robotRequest(id, token, function(robot) {
+                robot.events.joint = enable;
+            });
+        };
+        obj.enableAccelerometerEvents = function(id, token, enable) {
+            robotRequest(id, token, function(robot) {
+                robot.events.accel = enable;
+            });
+        };
+
+        // Fault injection. Rules are matched against every bridge method call;
+        // a matching rule either completes the request with an error instead
+        // of running it, drops it so requestComplete never arrives, or delays
+        // it.
+        var faultRules = [];
+
+        // The robots a call concerns: its robot, or those it pings, an empty
+        // list pinging every robot in range.
+        var targets = function(target) {
+            if (!Array.isArray(target)) {
+                return [target];
             }
-            return colorMap[id];
+            return target.length > 0 ? target : Object.keys(robots);
         };
-        obj.setLEDColor = function(id, r, g, b) {
-            colorMap[id] = {red:r, green:g, blue:b};
+
+        var ruleMatches = function(rule, method, target) {
+            if (rule.method !== '*' && rule.method !== method) {
+                return false;
+            }
+            if (rule.id === null) {
+                return true;
+            }
+            return targets(target).indexOf(rule.id) >= 0;
         };
-        */
+
+        var addRule = function(rule, options) {
+            options = options || {};
+            rule.id = typeof options.id === 'undefined' ? null : options.id;
+            rule.times = typeof options.times === 'number' ? options.times : 1;
+            faultRules.push(rule);
+            return rule;
+        };
+
+        var applyRule = function(rule, original, args) {
+            var target = args[0], token = args[1];
+            if (rule.delay) {
+                setTimeout(function() {
+                    original.apply(null, args);
+                }, rule.delay);
+            } else if (rule.robotError) {
+                // Only the faulty robot answers with an error; the rest of the
+                // ping goes ahead.
+                later('robotEvent', [rule.robotError, rule.id, null]);
+                var others = targets(target).filter(function(id) {
+                    return id !== rule.id;
+                });
+                if (others.length > 0) {
+                    original(others, token);
+                } else {
+                    complete(token, OK);
+                }
+            } else if (rule.error) {
+                complete(token, rule.error);
+            }
+        };
+
+        var faulty = function(method, original) {
+            return function(target) {
+                for (var i = 0; i < faultRules.length; i++) {
+                    var rule = faultRules[i];
+                    if (ruleMatches(rule, method, target)) {
+                        if (--rule.times <= 0) {
+                            faultRules.splice(i, 1);
+                        }
+                        applyRule(rule, original, arguments);
+                        return;
+                    }
+                }
+                original.apply(null, arguments);
+            };
+        };
+
+        ['connectRobot', 'disconnectRobot', 'sendRobotPing', 'getAccelerometer', 'getFormFactor',
+            'getJointAngles', 'getJointSpeeds', 'getJointStates', 'getLedColor', 'getVersions',
+            'resetEncoderRevs', 'setBuzzerFrequency', 'setJointSpeeds', 'setJointStates',
+            'setLedColor', 'move', 'moveTo', 'drive', 'driveTo', 'moveContinuous', 'motorPower',
+            'stop', 'enableButtonEvents', 'enableEncoderEvents', 'enableJointEvents',
+            'enableAccelerometerEvents'].forEach(function(method) {
+            obj[method] = faulty(method, obj[method]);
+        });
+
+        var faults = {
+            // Complete the next call(s) to a bridge method with an error, e.g.
+            //   faults.failRequest('connectRobot', 'rpc', 'VERSION_MISMATCH', {id: 'ZRG6'});
+            // Options: id restricts the rule to one robot, times is how many
+            // calls fail (default 1, Infinity for every call). A method of '*'
+            // matches every method.
+            failRequest: function(method, category, code, options) {
+                return addRule({
+                    method: method,
+                    error: bridgeError(category, code, 'simulated ' + category + ' ' + code)
+                }, options);
+            },
+            // Swallow the next call(s) to a bridge method, so requestComplete
+            // is never emitted for them. Takes the same options as failRequest.
+            dropRequest: function(method, options) {
+                return addRule({ method: method, error: null }, options);
+            },
+            // Add ms milliseconds of latency to the next call(s) to a bridge
+            // method, on top of the simulator's latency, e.g. to make one
+            // robot slow to answer:
+            //   faults.delayRequest('*', 2000, {id: 'ZRG6', times: Infinity});
+            // Takes the same options as failRequest.
+            delayRequest: function(method, ms, options) {
+                return addRule({ method: method, error: null, delay: ms }, options);
+            },
+            // Remove one rule returned by failRequest or dropRequest, or every
+            // rule when called without one.
+            clear: function(rule) {
+                if (typeof rule === 'undefined') {
+                    faultRules = [];
+                } else if (faultRules.indexOf(rule) >= 0) {
+                    faultRules.splice(faultRules.indexOf(rule), 1);
+                }
+            },
+            rules: function() {
+                return faultRules.slice();
+            },
+            // Report a dongle error such as STRANGE_DONGLE or
+            // INCOMPATIBLE_FIRMWARE through dongleEvent.
+            dongleError: function(code) {
+                later('dongleEvent', [bridgeError('baromesh', code, 'simulated dongle ' + code), null]);
+            },
+            // Report a dongle running the given firmware version, e.g.
+            // {major: 4, minor: 4, patch: 5}.
+            dongleFirmware: function(version) {
+                later('dongleEvent', [OK, version]);
+            },
+            // Make a robot run the given firmware version from now on.
+            robotFirmware: function(id, version) {
+                var robot = robotById(id);
+                if (robot) {
+                    robot.version = version;
+                }
+            },
+            // Answer the next ping of a robot, whether of it alone or of every
+            // robot in range, with a robotEvent error, such as
+            // INCOMPATIBLE_FIRMWARE.
+            robotPingError: function(id, code) {
+                return addRule({
+                    method: 'sendRobotPing',
+                    error: null,
+                    robotError: bridgeError('baromesh', code, 'simulated robot ' + code)
+                }, { id: id });
+            },
+            // Drop the connection to a robot, emitting connectionTerminated.
+            terminateConnection: function(id) {
+                var robot = robots[id];
+                if (robot) {
+                    robot.connected = false;
+                }
+                later('connectionTerminated', [id, now()]);
+            },
+            // Make a joint fail the next time it is driven, as a stalled or
+            // broken motor would.
+            stallJoint: function(id, joint, stalled) {
+                var robot = robotById(id);
+                if (robot) {
+                    robot.joints[joint].stalled = typeof stalled === 'undefined' ? true : stalled;
+                }
+            }
+        };
+
+        // Controls for the simulation, for use by developers and tests.
+        var simulator = {
+            // Milliseconds between a request and its requestComplete, or an
+            // action and its resulting signal.
+            latency: 10,
+            // Up to this many milliseconds of random delay are added to the
+            // latency.
+            jitter: 0,
+            faults: faults,
+            // Whether pinging an unknown ID creates a simulated robot for it.
+            autoCreate: true,
+            addRobot: function(id, options) {
+                robots[id] = makeRobot(id, options);
+                return robots[id];
+            },
+            removeRobot: function(id) {
+                var robot = robots[id];
+                delete robots[id];
+                if (robot && robot.connected) {
+                    later('connectionTerminated', [id, now()]);
+                }
+            },
+            // The state of a simulated robot, for inspection.
+            robot: function(id) {
+                return robots[id];
+            },
+            robots: function() {
+                return Object.keys(robots);
+            },
+            // Press a button for duration milliseconds, then release it.
+            pressButton: function(id, button, duration) {
+                var robot = robots[id];
+                if (!robot) {
+                    return;
+                }
+                robot.buttons[button] = true;
+                if (robot.events.button) {
+                    obj.buttonEvent.emit(id, button, enums.ButtonState.DOWN, now());
+                }
+                setTimeout(function() {
+                    robot.buttons[button] = false;
+                    if (robot.events.button) {
+                        obj.buttonEvent.emit(id, button, enums.ButtonState.UP, now());
+                    }
+                }, typeof duration === 'number' ? duration : 100);
+            },
+            // Set the gravity vector the accelerometer reports, in g.
+            setAccelerometer: function(id, x, y, z) {
+                if (robots[id]) {
+                    robots[id].accel = { x: x, y: y, z: z };
+                }
+            },
+            // Turn a joint by hand, as a student posing a relaxed robot would.
+            turnJoint: function(id, joint, angle) {
+                var robot = robots[id];
+                if (robot) {
+                    robot.joints[joint].angle = angle;
+                    reportEncoder(robot, joint, false);
+                }
+            },
+            plugDongle: function() {
+                dongle.plugged = true;
+                later('dongleEvent', [OK, latestFirmware()]);
+            },
+            unplugDongle: function() {
+                dongle.plugged = false;
+                for (var id in robots) {
+                    if (robots.hasOwnProperty(id)) {
+                        robots[id].connected = false;
+                    }
+                }
+                later('dongleEvent', [bridgeError('baromesh', 'DONGLE_NOT_FOUND', 'no dongle found'), null]);
+            },
+            // Emit a signal directly, e.g. simulator.emit('acquire').
+            emit: function(signal) {
+                obj[signal].emit.apply(null, Array.prototype.slice.call(arguments, 1));
+            },
+            bridgeError: bridgeError,
+            complete: complete,
+            now: now
+        };
+        obj.simulator = simulator;
+
+        // The dongle is present from the start; announce it once the page's
+        // scripts have had a chance to connect to dongleEvent.
+        setTimeout(function() {
+            if (dongle.plugged) {
+                obj.dongleEvent.emit(OK, latestFirmware());
+            }
+        }, 100);
+
         return obj;
     }
 })(this);
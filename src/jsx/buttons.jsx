@@ -0,0 +1,117 @@
+"use strict";
+
+// Button gesture recognition. A ButtonTracker follows the raw button events
+// of one robot and derives the events AsyncLinkbot.on() offers for buttons:
+//   button       a button was pressed
+//   buttonUp     a button was released; carries the press duration
+//   longPress    a button was released after being held for a while
+//   doubleClick  a button was clicked twice in quick succession
+//   chord        a button was pressed while others were held down
+// All times are the bridge's timestamps, in milliseconds.
+
+var LONG_PRESS = 1000;
+var DOUBLE_CLICK = 400;
+
+var enumConstants = asyncBaroboBridge.enumerationConstants();
+
+function byNumber (a, b) {
+    return a - b;
+}
+
+function ButtonTracker () {
+    // Map of held button to the time it was pressed.
+    this.held = {};
+    // Map of button to its most recent click, {id, down, up}.
+    this.clicks = {};
+    this.clickCount = 0;
+}
+
+// Feed a raw button event to the tracker. Returns an array of {type, event}
+// objects for the derived events.
+ButtonTracker.prototype.update = function (button, state, timestamp) {
+    var derived = [];
+    var held = this.held;
+    if (state == enumConstants.ButtonState.DOWN) {
+        var others = Object.keys(held).map(Number);
+        held[button] = timestamp;
+        derived.push({type: 'button', event: {button: button, state: state, timestamp: timestamp}});
+        if (others.length > 0) {
+            derived.push({type: 'chord', event: {
+                button: button,
+                buttons: others.concat([button]).sort(byNumber),
+                timestamp: timestamp
+            }});
+        }
+    } else {
+        var down = held.hasOwnProperty(button) ? held[button] : null;
+        delete held[button];
+        var duration = down === null ? null : timestamp - down;
+        derived.push({type: 'buttonUp', event: {
+            button: button,
+            state: state,
+            timestamp: timestamp,
+            duration: duration
+        }});
+        if (duration !== null) {
+            derived.push({type: 'longPress', event: {
+                button: button,
+                timestamp: timestamp,
+                duration: duration
+            }});
+            var previous = this.clicks[button] || null;
+            var click = {id: this.clickCount++, down: down, up: timestamp};
+            this.clicks[button] = click;
+            if (previous !== null) {
+                derived.push({type: 'doubleClick', event: {
+                    button: button,
+                    timestamp: timestamp,
+                    gap: down - previous.up,
+                    click: click.id,
+                    previousClick: previous.id
+                }});
+            }
+        }
+    }
+    return derived;
+};
+
+// True if a listener, given its options and private state, wants a derived
+// gesture event. Options:
+//   button: only this button.
+//   duration: for longPress, the least press duration (default LONG_PRESS).
+//             The press is only known to be long once it's released, so
+//             longPress comes then, not while the button is still held.
+//   interval: for doubleClick, the longest gap between the clicks (default
+//             DOUBLE_CLICK).
+//   buttons: for chord, exactly this set of buttons.
+function accepts (type, options, event, state) {
+    if (typeof options.button !== 'undefined' && options.button != event.button
+        && type !== 'chord') {
+        return false;
+    }
+    if (type === 'longPress') {
+        var duration = typeof options.duration === 'number' ? options.duration : LONG_PRESS;
+        return event.duration >= duration;
+    }
+    if (type === 'doubleClick') {
+        var interval = typeof options.interval === 'number' ? options.interval : DOUBLE_CLICK;
+        // A click which completed one double click can't start another, so
+        // triple clicks count once.
+        if (event.gap > interval || state.pairedClick === event.previousClick) {
+            return false;
+        }
+        state.pairedClick = event.click;
+        return true;
+    }
+    if (type === 'chord' && options.buttons) {
+        var wanted = options.buttons.slice().sort(byNumber);
+        return wanted.length === event.buttons.length
+            && wanted.every(function (b, i) { return b == event.buttons[i]; });
+    }
+    return true;
+}
+
+module.exports.LONG_PRESS = LONG_PRESS;
+module.exports.DOUBLE_CLICK = DOUBLE_CLICK;
+module.exports.ButtonTracker = ButtonTracker;
+module.exports.accepts = accepts;
@@ -0,0 +1,197 @@
+"use strict";
+
+var eventlib = require('./event.jsx');
+
+// Errors raised by LinkbotJS itself, as opposed to those reported by
+// asyncBaroboBridge, use this category.
+var LOCAL_CATEGORY = 'linkbotjs';
+
+var LocalErrors = {
+    NOT_CONNECTED: 1,
+    TIMEOUT: 2,
+    CANCELLED: 3,
+    JOINT_FAILED: 4,
+    NO_SUCH_JOINT: 5,
+    INVALID_ARGUMENT: 6,
+    GROUP_FAILED: 7,
+    STORAGE_FAILED: 8
+};
+
+var events = eventlib.Events.extend({});
+
+// Map of category name to a map of error code names to numbers. The bridge's
+// categories come from enumConstants.ErrorCategories, e.g.
+//   { baromesh: { STRANGE_DONGLE: 4, ... }, rpc: { VERSION_MISMATCH: 6, ... } }
+function categories () {
+    var all = {};
+    var bridgeCategories = asyncBaroboBridge.enumerationConstants().ErrorCategories || {};
+    for (var category in bridgeCategories) {
+        if (bridgeCategories.hasOwnProperty(category)) {
+            all[category] = bridgeCategories[category];
+        }
+    }
+    all[LOCAL_CATEGORY] = LocalErrors;
+    return all;
+}
+
+// Return the name of a numeric error code within a category, or null if the
+// code is unknown.
+function codeName (category, code) {
+    var codes = categories()[category] || {};
+    for (var name in codes) {
+        if (codes.hasOwnProperty(name) && codes[name] === code) {
+            return name;
+        }
+    }
+    return null;
+}
+
+// A LinkbotError wraps an error object as reported by asyncBaroboBridge, which
+// has the form {category: 'baromesh', code: 3, message: '...'}. The category
+// and code are retained so callers can branch on them. If the error concerns a
+// particular robot, robotId is its ID.
+function LinkbotError(error, robotId) {
+    this.name = 'LinkbotError';
+    this.category = error.category;
+    this.code = error.code;
+    this.codeName = codeName(error.category, error.code);
+    this.message = error.message;
+    this.robotId = typeof robotId === 'undefined' ? null : robotId;
+    this.stack = (new Error(this.message)).stack;
+}
+LinkbotError.prototype = Object.create(Error.prototype);
+LinkbotError.prototype.constructor = LinkbotError;
+
+// True if this error represents a particular error, given the error's
+// category and code in string form.
+//   error.is('rpc', 'VERSION_MISMATCH')
+LinkbotError.prototype.is = function (category, code) {
+    return this.category === category && this.codeName === code;
+};
+
+LinkbotError.prototype.toString = function () {
+    var prefix = this.robotId !== null ? 'Linkbot ' + this.robotId + ': ' : '';
+    return prefix + this.message + ' [' + this.category + ']';
+};
+
+// Define a subclass of LinkbotError (or of another subclass).
+function defineError (name, Parent) {
+    var E = function (error, robotId) {
+        Parent.call(this, error, robotId);
+        this.name = name;
+    };
+    E.prototype = Object.create(Parent.prototype);
+    E.prototype.constructor = E;
+    return E;
+}
+
+var DongleError = defineError('DongleError', LinkbotError);
+var IncompatibleFirmwareError = defineError('IncompatibleFirmwareError', LinkbotError);
+var RobotOfflineError = defineError('RobotOfflineError', LinkbotError);
+var RpcError = defineError('RpcError', LinkbotError);
+var RpcProtocolError = defineError('RpcProtocolError', RpcError);
+var RpcVersionMismatchError = defineError('RpcVersionMismatchError', RpcError);
+var TimeoutError = defineError('TimeoutError', LinkbotError);
+var CancelledError = defineError('CancelledError', LinkbotError);
+var JointFailedError = defineError('JointFailedError', LinkbotError);
+var NoSuchJointError = defineError('NoSuchJointError', LinkbotError);
+var InvalidArgumentError = defineError('InvalidArgumentError', LinkbotError);
+// A command to a group of robots failed for some of them. Its failures are a
+// map of robot ID to error, and its results a map of robot ID to result for
+// those which succeeded.
+var GroupError = defineError('GroupError', LinkbotError);
+
+// Which class represents each error, keyed by category and then code name.
+// Codes missing from a category fall back to the category's default.
+var errorClasses = {
+    baromesh: {
+        'default': LinkbotError,
+        CANNOT_OPEN_DONGLE: DongleError,
+        DONGLE_NOT_FOUND: DongleError,
+        PORT_OUT_OF_SYNC: DongleError,
+        STRANGE_DONGLE: DongleError,
+        INCOMPATIBLE_FIRMWARE: IncompatibleFirmwareError,
+        ROBOT_OFFLINE: RobotOfflineError
+    },
+    rpc: {
+        'default': RpcError,
+        DECODING_FAILURE: RpcProtocolError,
+        PROTOCOL_ERROR: RpcProtocolError,
+        INTERFACE_ERROR: RpcProtocolError,
+        VERSION_MISMATCH: RpcVersionMismatchError
+    },
+    linkbotjs: {
+        'default': LinkbotError,
+        NOT_CONNECTED: RobotOfflineError,
+        TIMEOUT: TimeoutError,
+        CANCELLED: CancelledError,
+        JOINT_FAILED: JointFailedError,
+        NO_SUCH_JOINT: NoSuchJointError,
+        INVALID_ARGUMENT: InvalidArgumentError,
+        GROUP_FAILED: GroupError
+    }
+};
+
+// Construct the appropriate LinkbotError subclass for an error object reported
+// by asyncBaroboBridge.
+function fromBridgeError (error, robotId) {
+    var classes = errorClasses[error.category] || { 'default': LinkbotError };
+    var name = codeName(error.category, error.code);
+    var E = (name && classes[name]) || classes['default'];
+    return new E(error, robotId);
+}
+
+// Construct an error object shaped like those the bridge passes to
+// requestComplete, but originating in LinkbotJS.
+function localErrorObject (code, message) {
+    return {
+        category: LOCAL_CATEGORY,
+        code: LocalErrors[code],
+        message: message
+    };
+}
+
+// Construct a LinkbotError originating in LinkbotJS rather than the bridge.
+//   localError('NOT_CONNECTED', 'the robot is not connected', 'ABCD')
+function localError (code, message, robotId) {
+    return fromBridgeError(localErrorObject(code, message), robotId);
+}
+
+// All errors which are not handled by a caller pass through here. Anyone
+// interested, such as the ErrorConsole, can listen for the 'error' event.
+// Reported errors are marked, and each is reported only once, so a caller
+// may report the failure of a command which linkbot.jsx has reported already.
+function report (error) {
+    if (!(error instanceof LinkbotError)) {
+        error = fromBridgeError(error);
+    }
+    if (error.reported) {
+        return error;
+    }
+    error.reported = true;
+    window.console.warn(error.toString());
+    events.trigger('error', error);
+    return error;
+}
+
+module.exports.LOCAL_CATEGORY = LOCAL_CATEGORY;
+module.exports.LocalErrors = LocalErrors;
+module.exports.LinkbotError = LinkbotError;
+module.exports.DongleError = DongleError;
+module.exports.IncompatibleFirmwareError = IncompatibleFirmwareError;
+module.exports.RobotOfflineError = RobotOfflineError;
+module.exports.RpcError = RpcError;
+module.exports.RpcProtocolError = RpcProtocolError;
+module.exports.RpcVersionMismatchError = RpcVersionMismatchError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.CancelledError = CancelledError;
+module.exports.JointFailedError = JointFailedError;
+module.exports.NoSuchJointError = NoSuchJointError;
+module.exports.InvalidArgumentError = InvalidArgumentError;
+module.exports.GroupError = GroupError;
+module.exports.defineError = defineError;
+module.exports.fromBridgeError = fromBridgeError;
+module.exports.localErrorObject = localErrorObject;
+module.exports.localError = localError;
+module.exports.report = report;
+module.exports.event = events;
@@ -11,7 +11,7 @@ var events = {
         list = this.events[event] || [];
         index = -1;
         for (i = 0; i < list.length; i++) {
-            if (list[i][0] === callback || list[i][1] == context) {
+            if (list[i][0] === callback || (context !== undefined && list[i][1] == context)) {
                 index = i;
                 break;
             }
@@ -23,8 +23,13 @@ var events = {
     trigger: function(event) {
         this.hasOwnProperty('events') || (this.events = {});
         var args = Array.apply([], arguments);
-        var tail = Array.prototype.slice.call(args, 1), callbacks = this.events[event] || [];
+        // A copy, as handlers may subscribe or unsubscribe while it runs.
+        // Those unsubscribed meanwhile aren't called.
+        var tail = Array.prototype.slice.call(args, 1), callbacks = (this.events[event] || []).slice();
         for(var i = 0, l = callbacks.length; i < l; i++) {
+            if ((this.events[event] || []).indexOf(callbacks[i]) < 0) {
+                continue;
+            }
             var callback = callbacks[i][0],
                 context = callbacks[i][1] === undefined ? this : callbacks[i][1];
             callback.apply(context, tail);
@@ -73,7 +73,7 @@ function latestVersion () {
     var lrfv = Version.fromString(config.get('latestRemoteFirmwareVersion'));
     // If the remote firmware repository considers lrfv the latest version, and
     // we have it in stock, it overrides any other version we have in stock.
-    if (localVersionExists(lrfv)) {
+    if (lrfv && localVersionExists(lrfv)) {
         lv = lrfv;
     }
     return lv;
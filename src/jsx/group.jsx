@@ -0,0 +1,146 @@
+"use strict";
+
+var eventlib = require('./event.jsx');
+var errors = require('./errors.jsx');
+var manager = require('./manager.jsx');
+
+// The AsyncLinkbot methods a LinkbotGroup forwards to each of its robots.
+var FORWARDED = [
+    'angularSpeed', 'setSpeeds', 'move', 'moveTo', 'moveWait', 'moveToWait',
+    'drive', 'driveTo', 'driveToWait', 'moveForward', 'moveBackward',
+    'moveLeft', 'moveRight', 'stop', 'relax', 'zero', 'color', 'buzzerFrequency'
+];
+
+// Find the robot a group member names: an AsyncLinkbot, or the ID of one the
+// manager knows of.
+function findMember (member) {
+    if (typeof member !== 'string') {
+        return member;
+    }
+    var bot = manager.getRobot(member.toUpperCase());
+    if (!bot) {
+        throw errors.localError('INVALID_ARGUMENT', 'no robot is registered as ' + member);
+    }
+    return bot;
+}
+
+// A LinkbotGroup commands several robots at once. It is made from the result
+// of acquire(), or a list of robots or their IDs:
+//   var group = new LinkbotGroup(Linkbots.acquire(3));
+//   var pair = new LinkbotGroup(['ZRG6', 'DGKR']);
+// Each of the FORWARDED methods is called on every robot in the group, and
+// returns a Promise which resolves with a map of robot ID to result once all
+// have succeeded. If any fail, the others carry on, and the Promise rejects
+// with a GroupError once they are done, whose failures map each failed
+// robot's ID to its error. A 'failure' event is also triggered for each, as
+// {robot, error}.
+//   group.moveWait(360, 0, -360).then(function() {
+//       return group.color(0, 255, 0);
+//   }, function(error) {
+//       console.log(Object.keys(error.failures) + ' fell behind');
+//   });
+function LinkbotGroup (members) {
+    var group = this;
+    var robots = [];
+
+    group.event = eventlib.Events.extend({});
+
+    group.__defineGetter__("robots", function() {
+        return robots.slice();
+    });
+    group.__defineGetter__("ids", function() {
+        return robots.map(function(bot) { return bot.id; });
+    });
+    group.__defineGetter__("length", function() {
+        return robots.length;
+    });
+
+    group.add = function(member) {
+        var bot = findMember(member);
+        if (robots.indexOf(bot) < 0) {
+            robots.push(bot);
+            group.event.trigger('changed');
+        }
+    };
+
+    group.remove = function(member) {
+        var i = robots.indexOf(findMember(member));
+        if (i >= 0) {
+            robots.splice(i, 1);
+            group.event.trigger('changed');
+        }
+    };
+
+    // Call fn(bot) for every robot in the group, and combine the results, as
+    // the forwarded methods do.
+    //   group.each(function(bot) { return bot.driveDistance(bot.id === first ? 10 : 20); });
+    group.each = function(fn) {
+        var bots = robots.slice();
+        var results = {}, failures = {};
+        var pending = bots.length;
+        var promise = new Promise(function(resolve, reject) {
+            function settled() {
+                if (--pending > 0) {
+                    return;
+                }
+                var failed = Object.keys(failures);
+                if (failed.length === 0) {
+                    resolve(results);
+                    return;
+                }
+                var error = errors.localError('GROUP_FAILED',
+                    failed.length + ' of ' + bots.length + ' robots failed: ' + failed.join(', '));
+                error.failures = failures;
+                error.results = results;
+                reject(error);
+            }
+            if (pending === 0) {
+                resolve(results);
+                return;
+            }
+            bots.forEach(function(bot) {
+                new Promise(function(resolveOne) {
+                    resolveOne(fn(bot));
+                }).then(function(result) {
+                    results[bot.id] = result;
+                    settled();
+                }, function(error) {
+                    failures[bot.id] = error;
+                    group.event.trigger('failure', {robot: bot, error: error});
+                    settled();
+                });
+            });
+        });
+        // Each robot's failure is reported, as its commands report their own,
+        // so the GroupError isn't, and isn't an unhandled rejection if the
+        // caller ignores it.
+        promise.then(null, function(error) {
+            for (var failed in error.failures) {
+                if (error.failures.hasOwnProperty(failed)) {
+                    var failure = error.failures[failed];
+                    if (!(failure instanceof errors.CancelledError) && !failure.reported) {
+                        errors.report(failure);
+                    }
+                }
+            }
+        });
+        return promise;
+    };
+
+    FORWARDED.forEach(function(method) {
+        group[method] = function() {
+            var args = arguments;
+            return group.each(function(bot) {
+                return bot[method].apply(bot, args);
+            });
+        };
+    });
+
+    if (members && Array.isArray(members.robots)) {
+        members = members.robots;
+    }
+    (members || []).forEach(group.add);
+}
+
+module.exports.FORWARDED = FORWARDED;
+module.exports.LinkbotGroup = LinkbotGroup;
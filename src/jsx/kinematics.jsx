@@ -0,0 +1,75 @@
+"use strict";
+
+// Conversions between the motion of a two-wheeled robot and the angles its
+// wheels turn through. Lengths may be in any units, so long as they agree;
+// angles are in degrees, and headings are positive to the left.
+
+// Centimetres per unit of each unit of length LinkbotJS understands.
+var CM_PER_UNIT = {
+    cm: 1,
+    'in': 2.54
+};
+
+function isUnit (units) {
+    return CM_PER_UNIT.hasOwnProperty(units);
+}
+
+// Convert a length from one unit to another.
+//   convert(1, 'in', 'cm') === 2.54
+function convert (value, from, to) {
+    return value * CM_PER_UNIT[from] / CM_PER_UNIT[to];
+}
+
+function toRadians (degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees (radians) {
+    return radians * 180 / Math.PI;
+}
+
+// The angle a wheel turns through to roll a distance.
+function wheelDegrees (distance, wheelRadius) {
+    return toDegrees(distance / wheelRadius);
+}
+
+// The distance a wheel rolls as it turns through an angle.
+function wheelDistance (degrees, wheelRadius) {
+    return toRadians(degrees) * wheelRadius;
+}
+
+// The distances the left and right wheels roll, as {left, right}, to drive
+// along an arc of radius (measured to the middle of the robot) through a
+// change of heading. A radius of zero turns on the spot.
+function arcDistances (radius, heading, trackWidth) {
+    var turn = toRadians(Math.abs(heading));
+    var offset = heading >= 0 ? trackWidth / 2 : -trackWidth / 2;
+    return {
+        left: (radius - offset) * turn,
+        right: (radius + offset) * turn
+    };
+}
+
+// Dead reckoning: the pose {x, y, heading} a robot reaches from pose when its
+// left and right wheels roll the given distances.
+function advance (pose, left, right, trackWidth) {
+    var distance = (left + right) / 2;
+    var turn = (right - left) / trackWidth;
+    // Travel along the chord of the arc, at the mean of the two headings.
+    var mid = toRadians(pose.heading) + turn / 2;
+    return {
+        x: pose.x + distance * Math.cos(mid),
+        y: pose.y + distance * Math.sin(mid),
+        heading: pose.heading + toDegrees(turn)
+    };
+}
+
+module.exports.CM_PER_UNIT = CM_PER_UNIT;
+module.exports.isUnit = isUnit;
+module.exports.convert = convert;
+module.exports.toRadians = toRadians;
+module.exports.toDegrees = toDegrees;
+module.exports.wheelDegrees = wheelDegrees;
+module.exports.wheelDistance = wheelDistance;
+module.exports.arcDistances = arcDistances;
+module.exports.advance = advance;
@@ -4,41 +4,216 @@ var eventlib = require('./event.jsx');
 var manager = require('./manager.jsx');
 var firmware = require('./firmware.jsx');
 var Version = require('./version.jsx');
+var errors = require('./errors.jsx');
+var buttons = require('./buttons.jsx');
+var kinematics = require('./kinematics.jsx');
 
 var enumConstants = asyncBaroboBridge.enumerationConstants();
 var requestId = 0;
 var callbacks = {};
-var buttonEventCallbacks = {};
-var encoderEventCallbacks = {};
-var accelerometerEventCallbacks = {};
-var jointEventCallbacks = {};
+var defaultTimeout = 10000;
+var DEFAULT_GRANULARITY = 5.0;
+// Defaults for the accelerometer's tilt and bump events: the angle in degrees
+// from upright beyond which the robot is tilted, and the departure in g from
+// the 1 g of gravity which counts as a bump.
+var TILT_ANGLE = 20;
+var BUMP_FORCE = 0.5;
+// Map of robot ID to a map of stream name to an array of listeners.
+var listeners = {};
+// Map of robot ID to a map of stream name to the stream's state on the robot:
+// false when disabled, otherwise true (or the granularity, for encoders).
+var enabledStreams = {};
+// Map of robot ID to the ButtonTracker recognizing its button gestures.
+var buttonTrackers = {};
+// Map of robot ID to the last known state of each of its joints,
+// {values: [JointState, ...], timestamps: [...]}, indexed from zero.
+var jointStates = {};
 
-function addCallback (func) {
+// A RequestController cancels requests in the manner of an AbortController:
+// pass its signal in the options of addCallback, request or command, then call
+// abort() to cancel every request still waiting on the bridge.
+function RequestController () {
+    var listeners = [];
+    var signal = {
+        aborted: false,
+        addEventListener: function (type, listener) {
+            if (type === 'abort') {
+                listeners.push(listener);
+            }
+        },
+        removeEventListener: function (type, listener) {
+            var i = listeners.indexOf(listener);
+            if (type === 'abort' && i >= 0) {
+                listeners.splice(i, 1);
+            }
+        }
+    };
+    this.signal = signal;
+    this.abort = function () {
+        if (!signal.aborted) {
+            signal.aborted = true;
+            listeners.splice(0).forEach(function (listener) {
+                listener();
+            });
+        }
+    };
+}
+
+// Remove a pending request from the callbacks map and invoke its callback with
+// the given error and result.
+function complete (token, error, result) {
+    var entry = callbacks[token];
+    if (entry) {
+        delete callbacks[token];
+        clearTimeout(entry.timer);
+        if (entry.signal) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+        entry.func(error, result);
+    }
+}
+
+// Register func to be called when the bridge completes the request with the
+// returned token. Options:
+//   id: the ID of the robot the request concerns.
+//   timeout: milliseconds to wait for the bridge before failing the request
+//            with a TIMEOUT error. Defaults to the module-wide default; zero
+//            waits forever.
+//   signal: a RequestController's signal, which fails the request with a
+//           CANCELLED error when aborted.
+function addCallback (func, options) {
+    options = options || {};
     var token = requestId++;
-    callbacks[token] = func;
+    var timeout = typeof options.timeout === 'number' ? options.timeout : defaultTimeout;
+    var entry = {
+        func: func,
+        id: typeof options.id === 'undefined' ? null : options.id,
+        issued: Date.now(),
+        timer: null,
+        signal: options.signal || null,
+        onAbort: function () {
+            cancelRequest(token);
+        }
+    };
+    callbacks[token] = entry;
+    if (timeout > 0) {
+        entry.timer = setTimeout(function () {
+            complete(token, errors.localErrorObject('TIMEOUT',
+                'no reply from the bridge after ' + timeout + 'ms'));
+        }, timeout);
+    }
+    if (entry.signal) {
+        if (entry.signal.aborted) {
+            // Still complete asynchronously, as the bridge would.
+            setTimeout(entry.onAbort, 0);
+        } else {
+            entry.signal.addEventListener('abort', entry.onAbort);
+        }
+    }
     return token;
 }
 
-function addGenericCallback () {
+// Fail a pending request with a CANCELLED error. Returns false if the request
+// had already completed.
+function cancelRequest (token) {
+    if (!callbacks.hasOwnProperty(token)) {
+        return false;
+    }
+    complete(token, errors.localErrorObject('CANCELLED', 'the request was cancelled'));
+    return true;
+}
+
+// Diagnostic listing of the requests still waiting on the bridge, as a map of
+// robot ID to an array of {token, age} objects, age being in milliseconds.
+// Requests not concerning any particular robot are listed under 'null'.
+function pendingRequests () {
+    var now = Date.now();
+    var pending = {};
+    for (var token in callbacks) {
+        if (callbacks.hasOwnProperty(token)) {
+            var entry = callbacks[token];
+            pending.hasOwnProperty(entry.id) || (pending[entry.id] = []);
+            pending[entry.id].push({token: Number(token), age: now - entry.issued});
+        }
+    }
+    return pending;
+}
+
+function setDefaultTimeout (ms) {
+    defaultTimeout = ms;
+}
+
+function addGenericCallback (robotId) {
     return addCallback(function (error) {
         if (error.code !== 0) {
-            // TODO add error handling code here.
-            window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
+            errors.report(errors.fromBridgeError(error, robotId));
+        }
+    }, {id: robotId});
+}
+
+// Issue a request to asyncBaroboBridge. The issue function is called with the
+// request's token and must pass it on to a bridge method. The returned Promise
+// resolves with the request's result, or rejects with a LinkbotError. Options
+// are those of addCallback; options.id is also recorded on errors.
+function request (issue, options) {
+    options = options || {};
+    return new Promise(function (resolve, reject) {
+        issue(addCallback(function (error, result) {
+            if (error.code !== 0) {
+                reject(errors.fromBridgeError(error, options.id));
+            } else {
+                resolve(result);
+            }
+        }, options));
+    });
+}
+
+// Like request, but failures are also reported to the error pipeline the way
+// addGenericCallback reports them, so fire-and-forget callers still hear about
+// errors. Deliberate cancellations are not reported.
+function command (issue, options) {
+    return reported(request(issue, options));
+}
+
+// Report a Promise's failure as command() does, so that one which callers
+// ignore neither goes unheard nor is an unhandled rejection. Errors which
+// have been reported already aren't reported again.
+function reported (promise) {
+    promise.catch(function (error) {
+        if (!(error instanceof errors.CancelledError) && !error.reported) {
+            errors.report(error);
         }
     });
+    return promise;
 }
 
 module.exports.addCallback = addCallback;
 module.exports.addGenericCallback = addGenericCallback;
+module.exports.request = request;
+module.exports.command = command;
+module.exports.reported = reported;
+module.exports.cancelRequest = cancelRequest;
+module.exports.pendingRequests = pendingRequests;
+module.exports.setDefaultTimeout = setDefaultTimeout;
+module.exports.RequestController = RequestController;
 
-asyncBaroboBridge.requestComplete.connect(
-    function (token, error, result) {
-        if (callbacks[token]) {
-            callbacks[token](error, result);
-            delete callbacks[token];
-        }
+// The subscriptions made through AsyncLinkbot.on() are the page's program's,
+// and go when a robot is reclaimed from it, unless they are made within
+// managerOwned(fn), as the robot manager makes its own.
+var managerDepth = 0;
+
+function managerOwned (fn) {
+    managerDepth++;
+    try {
+        return fn();
+    } finally {
+        managerDepth--;
     }
-);
+}
+
+module.exports.managerOwned = managerOwned;
+
+asyncBaroboBridge.requestComplete.connect(complete);
 
 // Dongle events of the same value may occur consecutively (i.e., two
 // dongleDowns in a row), so track the state and only perform actions on state
@@ -60,15 +235,10 @@ function showRobotUpdateButton (explanation, bot) {
     window.console.log(explanation);
 }
 
-// True if the error object e represents a particular error, given the error's
-// category and code in string form.
-function errorEq(e, category, code) {
-    return e.category === category
-        && e.code === enumConstants.ErrorCategories[category][code];
-}
 
 asyncBaroboBridge.dongleEvent.connect(
-    function (error, firmwareVersion) {
+    function (bridgeError, firmwareVersion) {
+        var error = errors.fromBridgeError(bridgeError);
         if (error.code == 0) {
             var version = Version.fromTriplet(firmwareVersion);
             if (version.eq(firmware.latestVersion())) {
@@ -79,25 +249,26 @@ asyncBaroboBridge.dongleEvent.connect(
                 dongleEventFilter('dongleUpdate', "The dongle's firmware must be updated.");
             }
         } else {
-            if (errorEq(error, 'baromesh', 'STRANGE_DONGLE')) {
+            if (error.is('baromesh', 'STRANGE_DONGLE')) {
                 dongleEventFilter('dongleUpdate', "A dongle is plugged in, but we are unable "
                     + "to communicate with it. "
                     + "You may need to update its firmware.");
             }
-            else if (errorEq(error, 'baromesh', 'INCOMPATIBLE_FIRMWARE')) {
+            else if (error.is('baromesh', 'INCOMPATIBLE_FIRMWARE')) {
                 dongleEventFilter('dongleUpdate', "The dongle's firmware must be updated.");
             }
             else {
                 dongleEventFilter('dongleDown');
-                window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
+                errors.report(error);
             }
         }
     }
 );
 
 asyncBaroboBridge.robotEvent.connect(
-    function(error, id, firmwareVersion) {
+    function(bridgeError, id, firmwareVersion) {
         console.log('robot event triggered with ID: ' + id + ' and version: ', firmwareVersion);
+        var error = errors.fromBridgeError(bridgeError, id);
         var robot = manager.getRobot(id);
         if (robot) {
             if (error.code == 0) {
@@ -110,69 +281,340 @@ asyncBaroboBridge.robotEvent.connect(
                     showRobotUpdateButton(id + "'s firmware must be updated.", robot);
                 }
             }
-            else if (errorEq(error, 'baromesh', 'INCOMPATIBLE_FIRMWARE')) {
+            else if (error.is('baromesh', 'INCOMPATIBLE_FIRMWARE')) {
                 showRobotUpdateButton(id + "'s firmware must be updated.", robot);
             }
             else {
-                window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
+                errors.report(error);
             }
         }
     }
 );
 
-asyncBaroboBridge.buttonEvent.connect(
-    function(id, buttonNumber, eventType, timestamp) {
-        // TODO implement this.
-        if (buttonEventCallbacks.hasOwnProperty(id)) {
-            var objs = buttonEventCallbacks[id];
-            for (var i = 0; i < objs.length; i++) {
-                var obj = objs[i];
-                if (obj.buttonId == buttonNumber && eventType == 1) {
-                    obj.callback(obj.robot, obj.data, {button: buttonNumber, timestamp: timestamp});
+// Robot event streams the bridge can send. Each is enabled on a robot while
+// it has at least one listener, and disabled again when the last one leaves.
+var streams = {
+    button: function (id, token, enable) {
+        asyncBaroboBridge.enableButtonEvents(id, token, enable);
+    },
+    encoder: function (id, token, enable) {
+        asyncBaroboBridge.enableEncoderEvents(id, token, encoderGranularity(id), enable);
+    },
+    joint: function (id, token, enable) {
+        asyncBaroboBridge.enableJointEvents(id, token, enable);
+        if (enable) {
+            // Events only report changes, so start from the current states.
+            command(function (token) {
+                asyncBaroboBridge.getJointStates(id, token);
+            }, {id: id}).then(function (result) {
+                result.values.forEach(function (state, j) {
+                    recordJointState(id, j, state, result.timestamp);
+                });
+            }, function () {
+                // Already reported by command.
+            });
+        }
+    },
+    accelerometer: function (id, token, enable) {
+        asyncBaroboBridge.enableAccelerometerEvents(id, token, enable);
+    }
+};
+
+// Streams kept enabled for as long as a robot is connected, whether or not
+// anyone is listening, so that AsyncLinkbot can track the robot's state.
+var trackedStreams = {
+    joint: true
+};
+
+// The stream each event type is derived from. Types not listed here are
+// ordinary AsyncLinkbot events, like 'changed'.
+var eventStreams = {
+    button: 'button',
+    buttonUp: 'button',
+    longPress: 'button',
+    doubleClick: 'button',
+    chord: 'button',
+    encoder: 'encoder',
+    pose: 'encoder',
+    joint: 'joint',
+    motionComplete: 'joint',
+    jointFailed: 'joint',
+    accelerometer: 'accelerometer',
+    tilt: 'accelerometer',
+    bump: 'accelerometer'
+};
+
+var eventAliases = {
+    buttonDown: 'button',
+    wheel: 'encoder',
+    accel: 'accelerometer'
+};
+
+function streamListeners (id, stream) {
+    return (listeners[id] && listeners[id][stream]) || [];
+}
+
+// True if anything listens for a robot's pose events, so it is tracked.
+function tracksPose (id, bot) {
+    return streamListeners(id, 'encoder').some(function (listener) {
+        return listener.type === 'pose' && listener.bot === bot;
+    });
+}
+
+// The bridge sends encoder events at the finest granularity any listener
+// asked for, and listeners filter out the events they don't need.
+function encoderGranularity (id) {
+    return streamListeners(id, 'encoder').reduce(function (g, listener) {
+        return typeof listener.options.granularity === 'number'
+               ? Math.min(g, listener.options.granularity)
+               : g;
+    }, DEFAULT_GRANULARITY);
+}
+
+function addListener (id, stream, listener) {
+    listeners.hasOwnProperty(id) || (listeners[id] = {});
+    listeners[id].hasOwnProperty(stream) || (listeners[id][stream] = []);
+    listeners[id][stream].push(listener);
+}
+
+// Remove a listener, and any companion subscriptions made on its behalf.
+function removeListener (id, stream, listener) {
+    var list = streamListeners(id, stream);
+    var i = list.indexOf(listener);
+    if (i >= 0) {
+        list.splice(i, 1);
+        listener.companions.splice(0).forEach(function (dispose) {
+            dispose();
+        });
+    }
+}
+
+// Bring the bridge's state for a robot's stream in line with its listeners.
+function syncStream (id, stream) {
+    enabledStreams.hasOwnProperty(id) || (enabledStreams[id] = {});
+    var current = enabledStreams[id][stream] || false;
+    var wanted = false;
+    if (trackedStreams[stream] || streamListeners(id, stream).length > 0) {
+        wanted = stream === 'encoder' ? encoderGranularity(id) : true;
+    }
+    if (current !== wanted) {
+        enabledStreams[id][stream] = wanted;
+        streams[stream](id, addGenericCallback(id), wanted !== false);
+    }
+}
+
+// Disable every stream of a robot, keeping its listeners so the streams can
+// be enabled again by syncStreams when it reconnects. A robot which can't be
+// reached isn't asked to; its streams are only counted as off.
+function suspendStreams (id, unreachable) {
+    for (var stream in streams) {
+        if (streams.hasOwnProperty(stream) && enabledStreams[id] && enabledStreams[id][stream]) {
+            if (!unreachable) {
+                streams[stream](id, addGenericCallback(id), false);
+            }
+            enabledStreams[id][stream] = false;
+        }
+    }
+    // Buttons held now may be released while no one is listening, and joints
+    // may move.
+    delete buttonTrackers[id];
+    delete jointStates[id];
+}
+
+function syncStreams (id) {
+    for (var stream in streams) {
+        if (streams.hasOwnProperty(stream)) {
+            syncStream(id, stream);
+        }
+    }
+}
+
+// Call each of a robot's listeners on a stream with its own copy of event,
+// provided accept (if given) approves of the listener. If accept returns an
+// object, its properties are added to that listener's copy.
+function dispatch (id, stream, event, accept) {
+    streamListeners(id, stream).slice().forEach(function (listener) {
+        var accepted = !accept || accept(listener);
+        if (accepted) {
+            var e = { robot: listener.bot };
+            var k;
+            for (k in event) {
+                if (event.hasOwnProperty(k)) {
+                    e[k] = event[k];
                 }
             }
+            if (typeof accepted === 'object') {
+                for (k in accepted) {
+                    if (accepted.hasOwnProperty(k)) {
+                        e[k] = accepted[k];
+                    }
+                }
+            }
+            listener.handler.call(listener.bot, e);
+        }
+    });
+}
+
+// The name of a JointState value, e.g. 'MOVING'.
+function jointStateName (state) {
+    var names = enumConstants.JointState;
+    for (var name in names) {
+        if (names.hasOwnProperty(name) && names[name] == state) {
+            return name;
         }
     }
+    return null;
+}
+
+// Record the state of a robot's joint (counting from zero) as of timestamp,
+// unless a later state is already known. Returns the previous state, or null.
+function recordJointState (id, jointNumber, state, timestamp) {
+    jointStates.hasOwnProperty(id) || (jointStates[id] = {values: [], timestamps: []});
+    var known = jointStates[id];
+    var previous = typeof known.values[jointNumber] === 'undefined' ? null : known.values[jointNumber];
+    if (!(known.timestamps[jointNumber] > timestamp)) {
+        known.values[jointNumber] = state;
+        known.timestamps[jointNumber] = timestamp;
+    }
+    return previous;
+}
+
+// Pass a robot's new pose event, if any, to its pose listeners.
+function dispatchPose (id, bot, event) {
+    if (event) {
+        dispatch(id, 'encoder', event, function (listener) {
+            return listener.type === 'pose' && listener.bot === bot;
+        });
+    }
+}
+
+// Joint numbers from the bridge count from zero, but those in the public API
+// count from one. Events carry both, for the benefit of register() callers.
+asyncBaroboBridge.buttonEvent.connect(
+    function(id, buttonNumber, eventType, timestamp) {
+        buttonTrackers.hasOwnProperty(id) || (buttonTrackers[id] = new buttons.ButtonTracker());
+        buttonTrackers[id].update(buttonNumber, eventType, timestamp).forEach(function (derived) {
+            dispatch(id, 'button', derived.event, function (listener) {
+                return listener.type === derived.type
+                    && buttons.accepts(derived.type, listener.options, derived.event, listener.last);
+            });
+        });
+    }
 );
 asyncBaroboBridge.encoderEvent.connect(
     function(id, jointNumber, anglePosition, timestamp) {
-        if (encoderEventCallbacks.hasOwnProperty(id)) {
-            var objs = encoderEventCallbacks[id];
-            for (var i = 0; i < objs.length; i++) {
-                var obj = objs[i];
-                if (obj.wheelId == jointNumber) {
-                    var diff = anglePosition - obj.robot._wheelPositions[jointNumber-1];
-                    obj.robot._wheelPositions[jointNumber-1] = anglePosition;
-                    obj.callback(obj.robot, obj.data, {triggerWheel: jointNumber, position: anglePosition, difference:diff, timestamp: timestamp});
-                }
+        var list = streamListeners(id, 'encoder').slice();
+        // Each robot's previous position, before it is overwritten, and its
+        // pose after this movement, if it has changed.
+        var bots = [], previous = [], poses = [];
+        list.forEach(function (listener) {
+            var bot = listener.bot;
+            if (bots.indexOf(bot) < 0) {
+                bots.push(bot);
+                previous.push(bot._wheelPositions[jointNumber]);
+                bot._wheelPositions[jointNumber] = anglePosition;
+                poses.push(tracksPose(id, bot) ? bot._advancePose(jointNumber, anglePosition, timestamp) : null);
             }
-        }
+        });
+        bots.forEach(function (bot, i) {
+            dispatchPose(id, bot, poses[i]);
+        });
+        list.forEach(function (listener) {
+            var options = listener.options;
+            if (listener.type !== 'encoder'
+                || (typeof options.joint !== 'undefined' && options.joint != jointNumber + 1)) {
+                return;
+            }
+            if (!listener.last.hasOwnProperty(jointNumber)) {
+                listener.last[jointNumber] = previous[bots.indexOf(listener.bot)];
+            }
+            var difference = anglePosition - listener.last[jointNumber];
+            if (typeof options.granularity === 'number' && Math.abs(difference) < options.granularity) {
+                return;
+            }
+            listener.last[jointNumber] = anglePosition;
+            listener.handler.call(listener.bot, {
+                robot: listener.bot,
+                joint: jointNumber + 1,
+                triggerWheel: jointNumber,
+                position: anglePosition,
+                difference: difference,
+                timestamp: timestamp
+            });
+        });
     }
 );
 asyncBaroboBridge.jointEvent.connect(
     function(id, jointNumber, eventType, timestamp) {
-        var objs = jointEventCallbacks[id];
-        for (var i = 0; i < objs.length; i++) {
-            var obj = objs[i];
-            obj.callback(obj.robot, obj.data, {jointNumber: jointNumber, eventType: eventType, timestamp: timestamp});
+        var previous = recordJointState(id, jointNumber, eventType, timestamp);
+        var JointState = enumConstants.JointState;
+        var event = {
+            joint: jointNumber + 1,
+            jointNumber: jointNumber,
+            eventType: eventType,
+            state: jointStateName(eventType),
+            timestamp: timestamp
+        };
+        if (eventType != JointState.MOVING) {
+            // Settle the pose of any robot tracking it now its wheel is still.
+            var settled = [];
+            streamListeners(id, 'encoder').forEach(function (listener) {
+                if (listener.type === 'pose' && settled.indexOf(listener.bot) < 0) {
+                    settled.push(listener.bot);
+                    dispatchPose(id, listener.bot, listener.bot._settlePose(timestamp));
+                }
+            });
+        }
+        var types = ['joint'];
+        if (eventType == JointState.FAIL && previous != JointState.FAIL) {
+            types.push('jointFailed');
+        }
+        else if ((eventType == JointState.STOP || eventType == JointState.HOLD)
+                 && (previous === null || previous == JointState.MOVING)) {
+            types.push('motionComplete');
         }
+        types.forEach(function (type) {
+            dispatch(id, 'joint', event, function (listener) {
+                return listener.type === type
+                    && (typeof listener.options.joint === 'undefined'
+                        || listener.options.joint == jointNumber + 1);
+            });
+        });
     }
 );
 asyncBaroboBridge.accelerometerEvent.connect(
     function(id, x, y, z, timestamp) {
-        if (accelerometerEventCallbacks.hasOwnProperty(id)) {
-            var objs = accelerometerEventCallbacks[id];
-            for (var i = 0; i < objs.length; i++) {
-                var obj = objs[i];
-                obj.callback(obj.robot, obj.data, {x: x, y: y, z: z, timestamp: timestamp});
-            }
+        var magnitude = Math.sqrt(x * x + y * y + z * z);
+        // The angle between the robot's z axis and the vertical.
+        var tilt = 0;
+        if (magnitude > 0) {
+            tilt = kinematics.toDegrees(Math.acos(Math.max(-1, Math.min(1, z / magnitude))));
         }
+        var event = {x: x, y: y, z: z, magnitude: magnitude, tilt: tilt, timestamp: timestamp};
+        dispatch(id, 'accelerometer', event, function (listener) {
+            var options = listener.options;
+            if (listener.type === 'bump') {
+                var force = typeof options.force === 'number' ? options.force : BUMP_FORCE;
+                return Math.abs(magnitude - 1) >= force;
+            }
+            if (listener.type === 'tilt') {
+                // Fires as the tilt crosses the listener's angle, either way.
+                var angle = typeof options.angle === 'number' ? options.angle : TILT_ANGLE;
+                var tilted = tilt >= angle;
+                var was = listener.last.tilted || false;
+                listener.last.tilted = tilted;
+                return tilted !== was && {tilted: tilted};
+            }
+            return listener.type === 'accelerometer';
+        });
     }
 );
 
 asyncBaroboBridge.acquire.connect(
     function() {
-        var acquisition = manager.acquire(1);
+        // The remote program can't renew a lease, so hold the robot until
+        // it is relinquished.
+        var acquisition = manager.acquire(1, {lease: 0, program: 'a remote program'});
         var id = acquisition.robots.length > 0 ? acquisition.robots[0].id : "";
         asyncBaroboBridge.fulfillAcquire(id);
     }
@@ -196,6 +638,48 @@ function rgbToHex(value) {
     return val;
 }
 
+// Getters take an optional callback, as they did before they returned
+// Promises. If the request fails the callback receives fallback, or is not
+// called at all when no fallback is given.
+function callbackify(promise, callback, fallback) {
+    if (callback) {
+        promise.then(callback, function () {
+            if (typeof fallback !== 'undefined') {
+                callback(fallback);
+            }
+        });
+    }
+    return promise;
+}
+
+// AsyncLinkbot commands which macros record and replay, as the control panel
+// issues them.
+var REPLAYABLE_COMMANDS = [
+    'angularSpeed', 'move', 'moveTo', 'drive', 'driveTo', 'moveToOneMotor',
+    'moveJointContinuous', 'moveForward', 'moveBackward', 'moveLeft', 'moveRight',
+    'stop', 'zero', 'color', 'buzzerFrequency'
+];
+
+module.exports.REPLAYABLE_COMMANDS = REPLAYABLE_COMMANDS;
+
+// The joints, counting from 1, which each form factor has.
+var formFactorJoints = {
+    I: [1, 3],
+    L: [1, 2],
+    T: [1, 2, 3]
+};
+
+// The name of a FormFactor value, e.g. 'I'.
+function formFactorName (value) {
+    var names = enumConstants.FormFactor;
+    for (var name in names) {
+        if (names.hasOwnProperty(name) && names[name] == value) {
+            return name;
+        }
+    }
+    return null;
+}
+
 function sign(value) {
     return (value > 0) - (value < 0);
 }
@@ -216,27 +700,288 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
     var statuses = {0:"offline", 1:"ready", 2:"acquired", 3:"update"};
     var status = 0;
     var id = _id;
+    // The robot's geometry, in inches.
     var wheelRadius = 1.75;
+    var trackWidth = 3.69;
+    // The units of length used by the driving helpers.
+    var units = 'cm';
+    // Dead-reckoning odometry: the robot's pose in inches and degrees, the
+    // wheel positions it was last advanced from, the distances the wheels
+    // have rolled since, and whether the pose can still be trusted, there
+    // having been no bump or tilt since it was last reset.
+    var pose = {x: 0, y: 0, heading: 0};
+    var poseWheels = [];
+    var rolled = {left: 0, right: 0};
+    var poseTrusted = true;
     var joinDirection = [0, 0, 0];
     var driveToValue = null;
+    var formFactor = null;
     var driveToCalled = false;
+    var driveToWaiters = [];
     var version = null;
+    var requestTimeout = null;
+    var controller = new RequestController();
+    // Disposers of the subscriptions made through register().
+    var registered = [];
+    // The subscriptions made through on(), each {type, handler, program,
+    // dispose}, program being false for the robot manager's own.
+    var subscriptions = [];
     
     bot.enums = enumConstants;
 
-    function driveToCallback(error) {
-        driveToCalled = false;
-        if (error.code !== 0) {
-            // TODO add error handling code here.
-            window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
-        } else {
+    // The wheels may turn while no one is watching, as when the robot is
+    // offline.
+    function forgetWheels() {
+        poseWheels = [];
+        rolled = {left: 0, right: 0};
+    }
+
+    function isReady() {
+        return status != 0 && status != 3;
+    }
+
+    function notReady() {
+        return reported(Promise.reject(errors.localError('NOT_CONNECTED', 'the robot is not connected', id)));
+    }
+
+    function requestOptions() {
+        var options = {id: id, signal: controller.signal};
+        if (requestTimeout !== null) {
+            options.timeout = requestTimeout;
+        }
+        return options;
+    }
+
+    function botRequest(issue) {
+        return request(issue, requestOptions());
+    }
+
+    function botCommand(issue) {
+        return command(issue, requestOptions());
+    }
+
+    function sendDriveTo(args, waiters) {
+        sendJoints('driveTo', args).then(function(result) {
+            waiters.forEach(function(w) { w.resolve(result); });
             if (driveToValue !== null) {
-                bot.driveTo(driveToValue[0], driveToValue[1], driveToValue[2]);
+                var next = driveToValue, nextWaiters = driveToWaiters;
                 driveToValue = null;
+                driveToWaiters = [];
+                sendDriveTo(next, nextWaiters);
+            } else {
+                driveToCalled = false;
             }
-        }
+        }, function(error) {
+            waiters.concat(driveToWaiters).forEach(function(w) { w.reject(error); });
+            driveToValue = null;
+            driveToWaiters = [];
+            driveToCalled = false;
+        });
     }
     
+    // Turn a map of joint (counting from 1) to value, like {1: 90, 3: -90},
+    // into the mask and three values the bridge expects. Throws a
+    // NoSuchJointError if the robot lacks one of the joints.
+    function jointArgs(map) {
+        var present = formFactorJoints[formFactorName(formFactor)] || [1, 2, 3];
+        var args = {mask: 0, values: [0, 0, 0]};
+        for (var key in map) {
+            if (map.hasOwnProperty(key)) {
+                var joint = Number(key);
+                if (present.indexOf(joint) < 0) {
+                    throw errors.localError('NO_SUCH_JOINT', 'the robot has no joint ' + key, id);
+                }
+                args.mask |= 1 << (joint - 1);
+                args.values[joint - 1] = map[key];
+            }
+        }
+        return args;
+    }
+
+    // Call issue with the joint arguments given to a motion method, either
+    // three positional values for all joints, or a map of joint to value for
+    // just those joints. Maps are checked against the robot's form factor,
+    // which is fetched first if need be. Failures are reported.
+    function withJoints(r1, r2, r3, issue) {
+        if (typeof r1 !== 'object' || r1 === null) {
+            return reported(issue({mask: 7, values: [r1, r2, r3]}));
+        }
+        var map = r1;
+        if (formFactor === null) {
+            return reported(bot.getFormFactor().then(function() {
+                return issue(jointArgs(map));
+            }));
+        }
+        try {
+            return reported(issue(jointArgs(map)));
+        } catch (e) {
+            return reported(Promise.reject(e));
+        }
+    }
+
+    // Send joint arguments, as made by withJoints, to a bridge method taking
+    // a mask and three values.
+    function sendJoints(method, args) {
+        return botCommand(function(token) {
+            asyncBaroboBridge[method](id, token, args.mask, args.values[0], args.values[1], args.values[2]);
+        });
+    }
+
+    // Combine the joint arguments of two calls, the later taking precedence.
+    function mergeJoints(earlier, later) {
+        var values = earlier.values.map(function(value, j) {
+            return (later.mask & (1 << j)) ? later.values[j] : value;
+        });
+        return {mask: earlier.mask | later.mask, values: values};
+    }
+
+    function driveTo(args) {
+        return new Promise(function(resolve, reject) {
+            var waiter = {resolve: resolve, reject: reject};
+            if (driveToCalled) {
+                driveToValue = driveToValue === null ? args : mergeJoints(driveToValue, args);
+                driveToWaiters.push(waiter);
+            } else {
+                driveToCalled = true;
+                sendDriveTo(args, [waiter]);
+            }
+        });
+    }
+
+    // Wait for the joints in mask to finish moving. Resolves once each has
+    // reached STOP or HOLD, and rejects with a JointFailedError if one enters
+    // FAIL. States cached before the motion was issued say nothing about it,
+    // so the robot's states are fetched first. A wait lasts no longer than the
+    // robot's requestTimeout, or the module-wide default, so that a lost
+    // joint event fails it with a TimeoutError rather than leaving it
+    // waiting for ever.
+    function waitForJoints(mask) {
+        return new Promise(function(resolve, reject) {
+            var JointState = enumConstants.JointState;
+            var signal = controller.signal;
+            var fetched = false, finished = false;
+            var disposers = [];
+            var timeout = requestTimeout !== null ? requestTimeout : defaultTimeout;
+            var timer = null;
+            function finish(error) {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                clearTimeout(timer);
+                disposers.forEach(function(dispose) { dispose(); });
+                signal.removeEventListener('abort', onAbort);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            }
+            function onAbort() {
+                finish(errors.localError('CANCELLED', 'the request was cancelled', id));
+            }
+            function check() {
+                if (!fetched) {
+                    return;
+                }
+                if (!isReady()) {
+                    finish(errors.localError('NOT_CONNECTED', 'the robot is not connected', id));
+                    return;
+                }
+                var known = jointStates[id] || {values: []};
+                var done = true;
+                for (var j = 0; j < 3; j++) {
+                    if (mask & (1 << j)) {
+                        var state = known.values[j];
+                        if (state == JointState.FAIL) {
+                            finish(errors.localError('JOINT_FAILED', 'joint ' + (j + 1) + ' failed', id));
+                            return;
+                        }
+                        done = done && (state == JointState.STOP || state == JointState.HOLD);
+                    }
+                }
+                if (done) {
+                    finish();
+                }
+            }
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+            if (timeout > 0) {
+                timer = setTimeout(function() {
+                    finish(errors.localError('TIMEOUT', 'the joints did not stop within ' + timeout + 'ms', id));
+                }, timeout);
+            }
+            disposers.push(subscribe('joint', check));
+            disposers.push(subscribe('changed', check));
+            bot.getJointStates().then(function() {
+                fetched = true;
+                check();
+            }, finish);
+        });
+    }
+
+    // Convert a length in the given units, or else the robot's units, to
+    // inches. Throws an InvalidArgumentError for unknown units.
+    function inches(length, lengthUnits) {
+        lengthUnits = lengthUnits || units;
+        if (!kinematics.isUnit(lengthUnits)) {
+            throw errors.localError('INVALID_ARGUMENT', 'unknown units: ' + lengthUnits, id);
+        }
+        return kinematics.convert(length, lengthUnits, 'in');
+    }
+
+    // Roll the wheels the given distances, in inches. Unequal distances are
+    // rolled at speeds in proportion to them, so that the wheels finish
+    // together, and the wheels' speeds are restored afterward.
+    function rollWheels(left, right) {
+        var l = kinematics.wheelDegrees(left, wheelRadius);
+        var r = kinematics.wheelDegrees(right, wheelRadius);
+        var longest = Math.max(Math.abs(l), Math.abs(r));
+        if (Math.abs(l) === Math.abs(r)) {
+            return bot.driveWheels(l, r);
+        }
+        return bot.getJointSpeeds().then(function(speeds) {
+            var fastest = Math.max(speeds[0], speeds[2]);
+            var restore = function() {
+                return bot.setSpeeds({1: speeds[0], 3: speeds[2]});
+            };
+            return bot.setSpeeds({
+                1: fastest * Math.abs(l) / longest,
+                3: fastest * Math.abs(r) / longest
+            }).then(function() {
+                return bot.driveWheels(l, r);
+            }).then(restore, function(error) {
+                return restore().then(function() {
+                    throw error;
+                });
+            });
+        });
+    }
+
+    // A pose in the robot's units, as carried by pose events.
+    function poseEvent(current, timestamp) {
+        return {
+            x: kinematics.convert(current.x, 'in', units),
+            y: kinematics.convert(current.y, 'in', units),
+            heading: current.heading,
+            trusted: poseTrusted,
+            timestamp: timestamp
+        };
+    }
+
+    // Advance the pose by the distances the wheels have rolled.
+    function settlePose() {
+        pose = kinematics.advance(pose, rolled.left, rolled.right, trackWidth);
+        rolled = {left: 0, right: 0};
+    }
+
+    function distrustPose() {
+        poseTrusted = false;
+    }
+
     function checkVersions(error, data) {
         if (0 === error.code) {
             var version = Version.fromTriplet(data);
@@ -250,11 +995,52 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
                 showRobotUpdateButton(id + "'s firmware must be updated.", robot);
             }
         } else {
-            window.console.warn('error occurred checking firmware version [' + error.category + '] :: ' + error.message);
+            errors.report(errors.fromBridgeError(error, id));
         }
     }
     
     bot._wheelPositions = [0, 0, 0];
+    // Called by the encoder event handler as a joint moves. The wheels,
+    // joints 1 and 3, report their movements separately; advancing the pose
+    // by each in turn would make it zigzag, so the pose advances once both
+    // wheels have reported, or once one reports twice while the other stays
+    // still. Returns the new pose event, or null if the pose hasn't changed.
+    bot._advancePose = function(jointNumber, position, timestamp) {
+        if (jointNumber !== 0 && jointNumber !== 2) {
+            return null;
+        }
+        var last = poseWheels[jointNumber];
+        poseWheels[jointNumber] = position;
+        if (typeof last === 'undefined' || last === position) {
+            return null;
+        }
+        var distance = kinematics.wheelDistance(position - last, wheelRadius);
+        // Joint 3 turns the other way to joint 1 when driving forward.
+        var wheel = jointNumber === 0 ? 'left' : 'right';
+        var other = jointNumber === 0 ? 'right' : 'left';
+        var advanced = false;
+        if (rolled[wheel] !== 0) {
+            settlePose();
+            advanced = true;
+        }
+        rolled[wheel] = jointNumber === 0 ? distance : -distance;
+        if (rolled[other] !== 0) {
+            settlePose();
+            advanced = true;
+        }
+        return advanced ? poseEvent(pose, timestamp) : null;
+    };
+
+    // Called by the joint event handler when a joint stops, so the last
+    // movement of a wheel is not left waiting for the other. Returns the new
+    // pose event, or null if the pose hasn't changed.
+    bot._settlePose = function(timestamp) {
+        if (rolled.left === 0 && rolled.right === 0) {
+            return null;
+        }
+        settlePose();
+        return poseEvent(pose, timestamp);
+    };
     // Public
     bot.__defineGetter__("_wheelRadius", function(){
         return wheelRadius;
@@ -263,6 +1049,42 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
         wheelRadius = value;
         bot.event.trigger('changed');
     });
+    // The robot's wheel radius and track width (the distance between its
+    // wheels), in its units.
+    bot.__defineGetter__("wheelRadius", function() {
+        return kinematics.convert(wheelRadius, 'in', units);
+    });
+    bot.__defineSetter__("wheelRadius", function(value) {
+        wheelRadius = inches(value);
+        bot.event.trigger('changed');
+    });
+    bot.__defineGetter__("trackWidth", function() {
+        return kinematics.convert(trackWidth, 'in', units);
+    });
+    bot.__defineSetter__("trackWidth", function(value) {
+        trackWidth = inches(value);
+        bot.event.trigger('changed');
+    });
+    // The units of length, 'cm' or 'in', of wheelRadius, trackWidth and the
+    // driving helpers.
+    bot.__defineGetter__("units", function() {
+        return units;
+    });
+    bot.__defineSetter__("units", function(value) {
+        inches(0, value);
+        units = value;
+        bot.event.trigger('changed');
+    });
+    // The robot's pose, {x, y, heading, trusted}, estimated by dead reckoning
+    // from its wheels while anything listens for pose events. x is forward
+    // from where the pose was last reset, y to the left, both in the robot's
+    // units; heading is in degrees, positive to the left.
+    bot.__defineGetter__("pose", function() {
+        // Include the wheel movements not yet settled into the pose.
+        var current = poseEvent(kinematics.advance(pose, rolled.left, rolled.right, trackWidth), null);
+        delete current.timestamp;
+        return current;
+    });
     bot.__defineGetter__("status", function(){
         return statuses[status];
     });
@@ -284,6 +1106,21 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
         }
         bot.event.trigger('changed');
     });
+    // The robot's form factor, 'I', 'L' or 'T', once it is known. It is
+    // fetched when the robot connects.
+    bot.__defineGetter__("formFactor", function() {
+        return formFactorName(formFactor);
+    });
+    // The robot's joints, counting from 1, e.g. [1, 3] for a Linkbot-I, or
+    // null until its form factor is known.
+    bot.__defineGetter__("joints", function() {
+        var joints = formFactorJoints[formFactorName(formFactor)];
+        return joints ? joints.slice() : null;
+    });
+    // True if the robot has two wheels to drive with, as a Linkbot-I does.
+    bot.__defineGetter__("isDriveCapable", function() {
+        return formFactorName(formFactor) === 'I';
+    });
     bot.__defineGetter__("id", function() {
         return id;
     });
@@ -291,32 +1128,46 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
     bot.__defineGetter__("_id", function() {
         return id;
     });
+    // Milliseconds to wait for the bridge to answer this robot's requests, or
+    // null to use the module-wide default.
+    bot.__defineGetter__("requestTimeout", function() {
+        return requestTimeout;
+    });
+    bot.__defineSetter__("requestTimeout", function(value) {
+        requestTimeout = value;
+    });
+
+    // Fail every request this robot is still waiting on with a CANCELLED
+    // error.
+    bot.cancelRequests = function() {
+        controller.abort();
+        controller = new RequestController();
+    };
+
+    // Diagnostic listing of this robot's requests still waiting on the bridge.
+    bot.pendingRequests = function() {
+        return pendingRequests()[id] || [];
+    };
     
     bot.getColor = function(callback) {
-        asyncBaroboBridge.getLedColor(id, addCallback(function(error, data) {
-            if (0 == error.code) {
-                callback(data);
-            } else {
-                callback({red:96,green:96,blue:96});
-            }
-        }));
+        var promise = botRequest(function(token) {
+            asyncBaroboBridge.getLedColor(id, token);
+        });
+        return callbackify(promise, callback, {red:96,green:96,blue:96});
     };
     bot.getHexColor = function(callback) {
-        asyncBaroboBridge.getLedColor(id, addCallback(function(error, data) {
-            if (0 == error.code) {
-                callback(colorToHex(data));
-            } else {
-                callback('606060');
-            }
-        }));
-        
+        var promise = bot.getColor().then(colorToHex);
+        return callbackify(promise, callback, '606060');
     };
     bot.color = function(r, g, b) {
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.setLedColor(id, token, r, g, b);
-            bot.event.trigger('changed');
+        if (!isReady()) {
+            return notReady();
         }
+        var promise = botCommand(function(token) {
+            asyncBaroboBridge.setLedColor(id, token, r, g, b);
+        });
+        bot.event.trigger('changed');
+        return promise;
     };
     bot.angularSpeed = function(s1, s2, s3) {
         if (s2 === null) {
@@ -325,91 +1176,250 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
         if (s3 === null) {
             s3 = s1;
         }
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
+        if (!isReady()) {
+            return notReady();
+        }
+        return botCommand(function(token) {
             asyncBaroboBridge.setJointSpeeds(id, token, 7, s1, s2, s3);
+        });
+    };
+
+    // Set the speeds of some joints, given as a map of joint to degrees per
+    // second, leaving the others alone.
+    //   bot.setSpeeds({2: 45});
+    bot.setSpeeds = function(speeds) {
+        if (!isReady()) {
+            return notReady();
         }
+        return withJoints(speeds, null, null, function(args) {
+            return sendJoints('setJointSpeeds', args);
+        });
     };
 
+    // The motion methods take either a value for each of the three joints, or
+    // a map of joint to value, which moves only those joints:
+    //   bot.move(90, 0, -90);
+    //   bot.move({1: 90, 3: -90});
     bot.move = function(r1, r2, r3) {
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.move(id, token, 7, r1, r2, r3);
+        if (!isReady()) {
+            return notReady();
         }
+        return withJoints(r1, r2, r3, function(args) {
+            return sendJoints('move', args);
+        });
     };
 
     bot.moveTo = function(r1, r2, r3) {
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.moveTo(id, token, 7, r1, r2, r3);
+        if (!isReady()) {
+            return notReady();
+        }
+        return withJoints(r1, r2, r3, function(args) {
+            return sendJoints('moveTo', args);
+        });
+    };
+
+    // moveWait and moveToWait are like move and moveTo, but their Promises
+    // resolve only once the motion is complete.
+    bot.moveWait = function(r1, r2, r3) {
+        if (!isReady()) {
+            return notReady();
+        }
+        return withJoints(r1, r2, r3, function(args) {
+            return sendJoints('move', args).then(function() {
+                return waitForJoints(args.mask);
+            });
+        });
+    };
+
+    bot.moveToWait = function(r1, r2, r3) {
+        if (!isReady()) {
+            return notReady();
+        }
+        return withJoints(r1, r2, r3, function(args) {
+            return sendJoints('moveTo', args).then(function() {
+                return waitForJoints(args.mask);
+            });
+        });
+    };
+
+    // Differential drive for a Linkbot-I: turn the left and right wheels by
+    // the given degrees, positive being forward for both. Resolves once the
+    // wheels stop.
+    bot.driveWheels = function(left, right) {
+        return bot.moveWait({1: left, 3: -right});
+    };
+
+    // Set the pose, to (0, 0) and heading 0 by default, and trust it again.
+    bot.resetPose = function(x, y, heading) {
+        pose = {
+            x: inches(x || 0),
+            y: inches(y || 0),
+            heading: heading || 0
+        };
+        rolled = {left: 0, right: 0};
+        poseTrusted = true;
+        bot.event.trigger('changed');
+    };
+
+    // Driving helpers for a Linkbot-I, which convert lengths to wheel angles
+    // through the robot's wheelRadius and trackWidth. Lengths are in the
+    // robot's units, unless others are given; headings are in degrees,
+    // positive to the left. Each resolves once the wheels stop.
+    //   bot.driveDistance(30).then(function() { return bot.turnLeft(90); });
+    bot.driveDistance = function(distance, distanceUnits) {
+        try {
+            distance = inches(distance, distanceUnits);
+        } catch (e) {
+            return reported(Promise.reject(e));
+        }
+        return rollWheels(distance, distance);
+    };
+
+    // Drive along an arc of the given radius, measured to the middle of the
+    // robot, until the robot's heading has changed by heading degrees.
+    bot.driveArc = function(radius, heading, radiusUnits) {
+        var distances;
+        try {
+            distances = kinematics.arcDistances(inches(radius, radiusUnits), heading, trackWidth);
+        } catch (e) {
+            return reported(Promise.reject(e));
+        }
+        return rollWheels(distances.left, distances.right);
+    };
+
+    // Turn on the spot.
+    bot.turnLeft = function(degrees) {
+        return bot.driveArc(0, degrees);
+    };
+
+    bot.turnRight = function(degrees) {
+        return bot.driveArc(0, -degrees);
+    };
+
+    // Drive straight for some seconds at a speed in units per second,
+    // negative speeds driving backward. The wheels' speeds are restored
+    // afterward.
+    bot.driveTime = function(seconds, speed, speedUnits) {
+        var rate;
+        try {
+            rate = Math.abs(kinematics.wheelDegrees(inches(speed, speedUnits), wheelRadius));
+        } catch (e) {
+            return reported(Promise.reject(e));
         }
+        if (rate === 0) {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, seconds * 1000);
+            });
+        }
+        return bot.getJointSpeeds().then(function(speeds) {
+            var restore = function() {
+                return bot.setSpeeds({1: speeds[0], 3: speeds[2]});
+            };
+            return bot.setSpeeds({1: rate, 3: rate}).then(function() {
+                return bot.driveDistance(speed * seconds, speedUnits);
+            }).then(restore, function(error) {
+                return restore().then(function() {
+                    throw error;
+                });
+            });
+        });
+    };
+
+    // Arm positioning for a Linkbot-L: move joints 1 and 2 to the given
+    // absolute angles. A joint given as null is left where it is. Resolves
+    // once the arm stops.
+    bot.moveArm = function(j1, j2) {
+        var map = {};
+        if (j1 !== null && typeof j1 !== 'undefined') {
+            map[1] = j1;
+        }
+        if (j2 !== null && typeof j2 !== 'undefined') {
+            map[2] = j2;
+        }
+        return bot.moveToWait(map);
     };
 
     bot.moveToOneMotor = function(joint, position) {
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            var mask = 0;
-            if (joint === 0) {
-                mask = 1;
-            } else if (joint === 1) {
-                mask = 2;
-            } else if (joint === 2) {
-                mask = 4;
-            }
-            asyncBaroboBridge.moveTo(id, token, mask, position, position, position);
+        if (!isReady()) {
+            return notReady();
+        }
+        var mask = 0;
+        if (joint === 0) {
+            mask = 1;
+        } else if (joint === 1) {
+            mask = 2;
+        } else if (joint === 2) {
+            mask = 4;
         }
+        return botCommand(function(token) {
+            asyncBaroboBridge.moveTo(id, token, mask, position, position, position);
+        });
     };
 
     bot.drive = function(r1, r2, r3) {
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.drive(id, token, 7, r1, r2, r3);
+        if (!isReady()) {
+            return notReady();
         }
+        return withJoints(r1, r2, r3, function(args) {
+            return sendJoints('drive', args);
+        });
     };
 
+    // driveTo calls made while another is in flight are coalesced: only the
+    // most recent value for each joint is sent once the bridge answers. Every
+    // caller's Promise settles with the request which finally carried its
+    // values.
     bot.driveTo = function(r1, r2, r3) {
-        if (status != 0 && status != 3) {
-            if (driveToCalled) {
-                driveToValue = [r1, r2, r3];
-            } else {
-                driveToCalled = true;
-                var token = addCallback(driveToCallback);
-                asyncBaroboBridge.driveTo(id, token, 7, r1, r2, r3);
-            }
+        if (!isReady()) {
+            return notReady();
+        }
+        return withJoints(r1, r2, r3, driveTo);
+    };
+
+    // Like driveTo, but the Promise resolves only once the robot stops, which
+    // may be at the values of a later, coalesced driveTo call.
+    bot.driveToWait = function(r1, r2, r3) {
+        if (!isReady()) {
+            return notReady();
         }
+        return withJoints(r1, r2, r3, function(args) {
+            return driveTo(args).then(function() {
+                return waitForJoints(args.mask);
+            });
+        });
     };
 
+    // Turn the wheels, joints 1 and 3, continuously in the directions of
+    // joinDirection. Robots without both wheels reject with a
+    // NoSuchJointError.
+    function moveContinuous() {
+        if (!isReady()) {
+            return notReady();
+        }
+        return withJoints({1: joinDirection[0], 3: joinDirection[2]}, null, null, function(args) {
+            return sendJoints('moveContinuous', args);
+        });
+    }
+
     bot.moveForward = function() {
         joinDirection[0] = 1;
         joinDirection[2] = -1;
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.moveContinuous(id, token, 7, joinDirection[0], joinDirection[1], joinDirection[2]);
-        }
+        return moveContinuous();
     };
     bot.moveBackward = function() {
         joinDirection[0] = -1;
         joinDirection[2] = 1;
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.moveContinuous(id, token, 7, joinDirection[0], joinDirection[1], joinDirection[2]);
-        }
+        return moveContinuous();
     };
     bot.moveLeft = function() {
         joinDirection[0] = -1;
         joinDirection[2] = -1;
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.moveContinuous(id, token, 7, joinDirection[0], joinDirection[1], joinDirection[2]);
-        }
+        return moveContinuous();
     };
     bot.moveRight = function() {
         joinDirection[0] = 1;
         joinDirection[2] = 1;
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.moveContinuous(id, token, 7, joinDirection[0], joinDirection[1], joinDirection[2]);
-        }
+        return moveContinuous();
     };
     bot.moveJointContinuous = function(joint, direction) {
         var token, mask = 0;
@@ -421,12 +1431,12 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
             } else {
                 joinDirection[joint] = 0;
                 // Special call for stopping so it relaxes the motor.
-                token = addGenericCallback();
+                token = addGenericCallback(id);
                 asyncBaroboBridge.stop(id, token, (1 << joint));
                 return true;
             }
-            if (status != 0 && status != 3) {
-                token = addGenericCallback();
+            if (isReady()) {
+                token = addGenericCallback(id);
                 if (joint === 0) {
                     mask = 1;
                 } else if (joint === 1) {
@@ -441,83 +1451,127 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
         return false;
     };
     bot.wheelPositions = function(callback) {
-        if (status != 0 && status != 3) {
-            var token = addCallback(function(error, data) {
-                if (error.code == 0) {
-                    callback(data);
-                    
-                } else {
-                    callback({values:[0, 0, 0], timestamp:-1});
-                }
-            });
-            asyncBaroboBridge.getJointAngles (id, token);
+        if (!isReady()) {
+            return notReady();
         }
+        var promise = botRequest(function(token) {
+            asyncBaroboBridge.getJointAngles(id, token);
+        });
+        return callbackify(promise, callback, {values:[0, 0, 0], timestamp:-1});
     };
 
     bot.getJointSpeeds = function(callback) {
-        if (status != 0 && status != 3) {
-            var token = addCallback(function(error, data) {
-                if (error.code == 0) {
-                    callback(data);
-                } else {
-                    window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
-                }
-            });
+        if (!isReady()) {
+            return notReady();
+        }
+        var promise = botCommand(function(token) {
             asyncBaroboBridge.getJointSpeeds(id, token);
+        });
+        return callbackify(promise, callback);
+    };
+
+    // The last known state of a joint, counting from 1, as the name of a
+    // JointState value ('STOP', 'HOLD', 'MOVING' or 'FAIL'), or null if the
+    // state is not known, e.g. while the robot is disconnected.
+    bot.jointState = function(joint) {
+        var known = jointStates[id];
+        if (!known || typeof known.values[joint - 1] === 'undefined') {
+            return null;
+        }
+        return jointStateName(known.values[joint - 1]);
+    };
+
+    // Fetch the robot's joint states from the robot. Resolves with
+    // {values: [JointState, ...], timestamp}.
+    bot.getJointStates = function(callback) {
+        if (!isReady()) {
+            return notReady();
         }
+        var promise = botRequest(function(token) {
+            asyncBaroboBridge.getJointStates(id, token);
+        }).then(function(result) {
+            result.values.forEach(function(state, j) {
+                recordJointState(id, j, state, result.timestamp);
+            });
+            return result;
+        });
+        return callbackify(promise, callback);
     };
 
     bot.stop = function() {
         joinDirection[0] = 0;
         joinDirection[2] = 0;
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
+        if (!isReady()) {
+            return notReady();
+        }
+        return botCommand(function(token) {
             asyncBaroboBridge.stop(id, token);
+        });
+    };
+
+    // Stop the given joints, counting from 1, or every joint, relaxing their
+    // motors so that they can be turned by hand.
+    bot.relax = function(joints) {
+        joints = joints || [1, 2, 3];
+        var mask = 0;
+        joints.forEach(function(joint) {
+            joinDirection[joint - 1] = 0;
+            mask |= 1 << (joint - 1);
+        });
+        if (!isReady()) {
+            return notReady();
         }
+        return botCommand(function(token) {
+            asyncBaroboBridge.stop(id, token, mask);
+        });
     };
 
     bot.buzzerFrequency = function(freq) {
-        if (status != 0 && status != 3) {
-            var token = addGenericCallback();
-            asyncBaroboBridge.setBuzzerFrequency(id, token, freq);
+        if (!isReady()) {
+            return notReady();
         }
+        return botCommand(function(token) {
+            asyncBaroboBridge.setBuzzerFrequency(id, token, freq);
+        });
     };
 
     bot.zero = function() {
-      if (asyncBaroboBridge.resetEncoderRevs) {
-          var token = addCallback(function(error) {
-              if (error.code !== 0) {
-                  // TODO add error handling code here.
-                  window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
-              } else {
-                  bot.moveTo(0, 0, 0);
-              }
-
-          });
-          asyncBaroboBridge.resetEncoderRevs(id, token);
-      } else {
-          bot.moveTo(0, 0, 0);
-      }
+        if (!isReady()) {
+            return notReady();
+        }
+        if (asyncBaroboBridge.resetEncoderRevs) {
+            return reported(botCommand(function(token) {
+                asyncBaroboBridge.resetEncoderRevs(id, token);
+            }).then(function() {
+                return sendJoints('moveTo', {mask: 7, values: [0, 0, 0]});
+            }));
+        } else {
+            return sendJoints('moveTo', {mask: 7, values: [0, 0, 0]});
+        }
     };
 
     bot.getFormFactor = function(callback) {
-        if (status != 0 && status != 3  && callback) {
-            var token = addCallback(function(error, data) {
-                if (error.code == 0) {
-                    callback(data);
-                } else {
-                    window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
-                }
-            });
-            asyncBaroboBridge.getFormFactor(id, token);
+        if (!isReady()) {
+            return notReady();
         }
+        var promise = botCommand(function(token) {
+            asyncBaroboBridge.getFormFactor(id, token);
+        }).then(function(value) {
+            formFactor = value;
+            return value;
+        });
+        return callbackify(promise, callback);
     };
 
     bot.disconnect = function() {
-        bot.stop();
+        if (isReady()) {
+            bot.stop();
+        }
         bot.unregister();
+        suspendStreams(id);
+        forgetWheels();
 
-        var token = addGenericCallback();
+        var token = addGenericCallback(id);
         asyncBaroboBridge.disconnectRobot(id, token);
 
         bot.status = "offline";
@@ -527,38 +1581,44 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
     bot.connect = function(callback) {
         var token;
         if (status == 0) {
-            asyncBaroboBridge.connectRobot(id, addCallback(function(error) {
+            asyncBaroboBridge.connectRobot(id, addCallback(function(bridgeError) {
+                var error = errors.fromBridgeError(bridgeError, id);
                 if (0 == error.code) {
                     // If a TCP tunnel is currently active for this robot, it starts
                     // acquired.
                     bot.status = asyncBaroboBridge.isTunnelActive(id)
                                  ? "acquired" : "ready";
                     bot.event.trigger('changed');
+                    syncStreams(id);
                     asyncBaroboBridge.getVersions(id, addCallback(checkVersions));
+                    bot.getFormFactor().then(function() {
+                        bot.event.trigger('changed');
+                    }, function() {
+                        // Already reported by getFormFactor.
+                    });
                 }
-                else if (errorEq(error, 'rpc', 'DECODING_FAILURE')
-                         || errorEq(error, 'rpc', 'PROTOCOL_ERROR')
-                         || errorEq(error, 'rpc', 'INTERFACE_ERROR')) {
+                else if (error instanceof errors.RpcProtocolError) {
                     showRobotUpdateButton("We are unable to communicate with " + id
                         + ". It may need a firmware update.", bot);
                 }
-                else if (errorEq(error, 'rpc', 'VERSION_MISMATCH')) {
+                else if (error instanceof errors.RpcVersionMismatchError) {
                     showRobotUpdateButton(id + "'s firmware must be updated.", bot);
                 }
                 else {
-                    window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
+                    errors.report(error);
                 }
                 if (callback) {
-                    callback(error);
+                    callback(bridgeError);
                 }
             }));
         } else {
             token = addCallback(function(error) {
                 if (0 != error.code) {
                     status = 0;
+                    suspendStreams(id, true);
+                    forgetWheels();
                     bot.event.trigger('changed');
-                } else {
-                    window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
+                    errors.report(errors.fromBridgeError(error, id));
                 }
                 if (callback) {
                     callback(error);
@@ -567,86 +1627,171 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
             asyncBaroboBridge.getLedColor(id, token);
         }
     };
-    // This is a deprecated method.
+    // Subscribe handler to one of this robot's events. Robot event streams
+    // are enabled while they have listeners. Options narrow down which events
+    // reach the handler:
+    //   button: only this button (an enums.Button value).
+    //   joint: only this joint, counting from 1.
+    //   granularity: for encoder events, the least movement in degrees since
+    //                the handler's last event.
+    // Button gestures (buttonUp, longPress, doubleClick, chord) take further
+    // options, described in buttons.jsx.
+    // Returns a function which removes the subscription.
+    //   var dispose = bot.on('encoder', function(e) { ... }, {joint: 1});
+    bot.on = function(type, handler, options) {
+        type = eventAliases[type] || type;
+        var remove = subscribe(type, handler, options);
+        var subscription = {
+            type: type,
+            handler: handler,
+            program: managerDepth === 0,
+            dispose: function() {
+                var i = subscriptions.indexOf(subscription);
+                if (i >= 0) {
+                    subscriptions.splice(i, 1);
+                    remove();
+                }
+            }
+        };
+        subscriptions.push(subscription);
+        return subscription.dispose;
+    };
+
+    // Remove subscriptions made through on() to an event type with the given
+    // handler, or if no handler is given, all of the caller's: the program's,
+    // or within managerOwned() the robot manager's. The robot's own, such as
+    // those of its waits, are left.
+    bot.off = function(type, handler) {
+        type = eventAliases[type] || type;
+        var matched = subscriptions.filter(function(subscription) {
+            return subscription.type === type && (typeof handler === 'undefined'
+                ? subscription.program === (managerDepth === 0)
+                : subscription.handler === handler);
+        });
+        matched.forEach(function(subscription) {
+            subscription.dispose();
+        });
+        if (matched.length === 0 && typeof handler !== 'undefined' && !eventStreams[type]) {
+            // It may have been given to bot.event.on() itself.
+            bot.event.off(type, handler);
+        }
+    };
+
+    // Remove every subscription the program made, through on() or
+    // register(), as when the robot is reclaimed from it. The robot
+    // manager's own are left.
+    bot.offProgram = function() {
+        registered = [];
+        subscriptions.filter(function(subscription) {
+            return subscription.program;
+        }).forEach(function(subscription) {
+            subscription.dispose();
+        });
+    };
+
+    // Subscribe as on() does, for the robot's own use, such as its waits.
+    // off() and offProgram() leave these.
+    function subscribe(type, handler, options) {
+        type = eventAliases[type] || type;
+        var stream = eventStreams[type];
+        if (!stream) {
+            bot.event.on(type, handler);
+            return function() {
+                bot.event.off(type, handler);
+            };
+        }
+        var listener = {
+            bot: bot,
+            type: type,
+            handler: handler,
+            options: options || {},
+            last: {},
+            companions: []
+        };
+        if (type === 'pose') {
+            // The pose can't be trusted once the robot is bumped or tilted,
+            // as its wheels may then slip.
+            listener.companions.push(subscribe('bump', distrustPose));
+            listener.companions.push(subscribe('tilt', function(e) {
+                if (e.tilted) {
+                    distrustPose();
+                }
+            }));
+            // Once nothing listens, the wheels go unwatched, so the pose keeps
+            // what they rolled so far and starts afresh from the next listener.
+            listener.companions.push(function() {
+                if (!tracksPose(id, bot)) {
+                    settlePose();
+                    forgetWheels();
+                }
+            });
+            if (isReady()) {
+                bot.wheelPositions().then(function(result) {
+                    [0, 2].forEach(function(j) {
+                        if (typeof poseWheels[j] === 'undefined') {
+                            poseWheels[j] = result.values[j];
+                        }
+                    });
+                }, function() {
+                    // The first encoder events will serve instead.
+                });
+            }
+        }
+        addListener(id, stream, listener);
+        if (isReady()) {
+            syncStream(id, stream);
+        }
+        return function() {
+            removeListener(id, stream, listener);
+            if (isReady()) {
+                syncStream(id, stream);
+            }
+        };
+    }
+
+    // This is a deprecated method, superseded by on().
     bot.register = function(connections) {
-        var obj, token;
+        var obj;
         if (status == 0 || status == 3 || typeof(connections) == 'undefined') {
             return;
         }
+        function legacy(obj) {
+            return function(event) {
+                obj.callback(bot, obj.data, event);
+            };
+        }
         if (connections.hasOwnProperty('button')) {
-            buttonEventCallbacks.hasOwnProperty(id) || (buttonEventCallbacks[id] = []);
             for (var buttonId in connections.button) {
                 if (connections.button.hasOwnProperty(buttonId)) {
                     obj = connections.button[buttonId];
-                    buttonEventCallbacks[id].push({
-                        robot: bot,
-                        buttonId: buttonId,
-                        callback: obj.callback,
-                        data: obj.data
-                    });
+                    registered.push(bot.on('button', legacy(obj), {button: Number(buttonId)}));
                 }
             }
-            if (buttonEventCallbacks[id].length > 0) {
-                token = addGenericCallback();
-                asyncBaroboBridge.enableButtonEvents (id, token, true);
-            }
         }
         if (connections.hasOwnProperty('wheel')) {
-            var granularity = 5.0;
-            encoderEventCallbacks.hasOwnProperty(id) || (encoderEventCallbacks[id] = []);
             for (var wheelId in connections.wheel) {
                 if (connections.wheel.hasOwnProperty(wheelId)) {
                     obj = connections.wheel[wheelId];
-                    encoderEventCallbacks[id].push({
-                        robot: bot,
-                        wheelId: wheelId,
-                        callback: obj.callback,
-                        data: obj.data
-                    });
-                    if (obj.hasOwnProperty('distance') && obj.distance < granularity) {
-                        granularity = obj.distance;
-                    }
+                    // register() numbers wheels from zero, as the bridge does.
+                    registered.push(bot.on('encoder', legacy(obj), {
+                        joint: Number(wheelId) + 1,
+                        granularity: obj.distance
+                    }));
                 }
             }
-            if (encoderEventCallbacks[id].length > 0) {
-                token = addGenericCallback();
-                asyncBaroboBridge.enableEncoderEvents(id, token, granularity, true);
-            }
         }
         if (connections.hasOwnProperty('joint')) {
-            obj = connections.joint;
-            jointEventCallbacks.hasOwnProperty(id) || (jointEventCallbacks[id] = []);
-            jointEventCallbacks[id].push({robot:bot, callback:obj.callback, data:obj.data});
-            token = addGenericCallback();
-            asyncBaroboBridge.enableJointEvents(id, token, true);
+            registered.push(bot.on('joint', legacy(connections.joint)));
         }
         if (connections.hasOwnProperty('accel')) {
-            obj = connections.accel;
-            accelerometerEventCallbacks.hasOwnProperty(id) || (accelerometerEventCallbacks[id] = []);
-            accelerometerEventCallbacks[id].push({robot:bot, callback:obj.callback, data:obj.data});
-            token = addGenericCallback();
-            asyncBaroboBridge.enableAccelerometerEvents(id, token, true);
+            registered.push(bot.on('accelerometer', legacy(connections.accel)));
         }
     };
-    // This is a deprecated method.
+    // This is a deprecated method. It removes everything added by register().
     bot.unregister = function() {
-        var token;
-        if (buttonEventCallbacks.hasOwnProperty(id) && buttonEventCallbacks[id].length > 0) {
-            token = addGenericCallback();
-            asyncBaroboBridge.enableButtonEvents (id, token, false);
-        }
-        if (encoderEventCallbacks.hasOwnProperty(id) && encoderEventCallbacks[id].length > 0) {
-            token = addGenericCallback();
-            asyncBaroboBridge.enableEncoderEvents(id, token, 5.0, false);
-        }
-        if (accelerometerEventCallbacks.hasOwnProperty(id) && accelerometerEventCallbacks[id].length > 0) {
-            token = addGenericCallback();
-            asyncBaroboBridge.enableAccelerometerEvents(id, token, false);
-        }
-        if (jointEventCallbacks.hasOwnProperty(id) && jointEventCallbacks[id].length > 0) {
-            token = addGenericCallback();
-            asyncBaroboBridge.enableJointEvents(id, token, false);
-        }
+        registered.splice(0).forEach(function(dispose) {
+            dispose();
+        });
     };
     bot.event = eventlib.Events.extend({});
     /**
@@ -656,4 +1801,17 @@ module.exports.AsyncLinkbot = function AsyncLinkbot(_id) {
     bot.BUTTON_POWER = bot.enums.Button.POWER;
     bot.BUTTON_A = bot.enums.Button.A;
     bot.BUTTON_B = bot.enums.Button.B;
+
+    // Announce each call of a command a macro can replay with a 'command'
+    // event, carrying {method, args}.
+    REPLAYABLE_COMMANDS.forEach(function(method) {
+        var command = bot[method];
+        bot[method] = function() {
+            bot.event.trigger('command', {
+                method: method,
+                args: Array.prototype.slice.call(arguments)
+            });
+            return command.apply(bot, arguments);
+        };
+    });
 };
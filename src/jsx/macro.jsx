@@ -0,0 +1,225 @@
+"use strict";
+
+var eventlib = require('./event.jsx');
+var errors = require('./errors.jsx');
+var linkbotLib = require('./linkbot.jsx');
+
+// Macros are scripts of the commands given to a robot, as recorded from the
+// control panel or a program, which can be replayed on the same robot or
+// another. A script is plain JSON, so it can be saved and edited:
+//   {
+//     "version": 1,
+//     "duration": 5200,
+//     "actions": [
+//       {"time": 0, "method": "angularSpeed", "args": [90, 90, 90]},
+//       {"time": 1200, "method": "moveForward", "args": []},
+//       {"time": 3000, "method": "color", "args": [255, 0, 0]},
+//       {"time": 5200, "method": "stop", "args": []}
+//     ]
+//   }
+// Times are milliseconds from the start of the macro. Methods are those of
+// linkbot.jsx's REPLAYABLE_COMMANDS.
+
+var SCRIPT_VERSION = 1;
+
+function invalid (message) {
+    return errors.localError('INVALID_ARGUMENT', message);
+}
+
+// Check a script, given as an object or as JSON text, and return it as an
+// object. Throws an InvalidArgumentError if it isn't a valid script.
+function parse (script) {
+    if (typeof script === 'string') {
+        try {
+            script = JSON.parse(script);
+        } catch (e) {
+            throw invalid('the macro is not valid JSON');
+        }
+    }
+    if (!script || script.version !== SCRIPT_VERSION || !Array.isArray(script.actions)) {
+        throw invalid('the macro is not a version ' + SCRIPT_VERSION + ' script');
+    }
+    var time = 0;
+    script.actions.forEach(function (action, i) {
+        if (linkbotLib.REPLAYABLE_COMMANDS.indexOf(action.method) < 0) {
+            throw invalid('action ' + i + ' of the macro has an unknown method: ' + action.method);
+        }
+        if (typeof action.time !== 'number' || action.time < time || !Array.isArray(action.args)) {
+            throw invalid('action ' + i + ' of the macro is malformed');
+        }
+        time = action.time;
+    });
+    if (typeof script.duration !== 'number' || script.duration < time) {
+        script.duration = time;
+    }
+    return script;
+}
+
+// A MacroRecorder records the commands given to a robot as a script.
+//   var macro = new MacroRecorder();
+//   macro.start(bot);
+//   ...
+//   var script = macro.stop();
+function MacroRecorder () {
+    var macro = this;
+    var bot = null;
+    var started = null;
+    var duration = 0;
+    var actions = [];
+    var dispose = null;
+
+    macro.event = eventlib.Events.extend({});
+
+    macro.__defineGetter__("recording", function() {
+        return bot !== null;
+    });
+
+    // Begin recording a robot, discarding any earlier recording. The robot's
+    // current joint speeds open the script, so that it replays as recorded.
+    macro.start = function(robot) {
+        macro.stop();
+        bot = robot;
+        started = Date.now();
+        actions = [];
+        dispose = bot.on('command', function(command) {
+            actions.push({time: Date.now() - started, method: command.method, args: command.args});
+            macro.event.trigger('changed');
+        });
+        bot.getJointSpeeds().then(function(speeds) {
+            if (started !== null) {
+                actions.unshift({time: 0, method: 'angularSpeed', args: speeds.slice(0, 3)});
+            }
+        }, function() {
+            // Already reported; the script will use whatever speeds are set.
+        });
+        macro.event.trigger('changed');
+    };
+
+    // Stop recording, and return the script.
+    macro.stop = function() {
+        if (bot !== null) {
+            dispose();
+            duration = Date.now() - started;
+            bot = null;
+            started = null;
+            macro.event.trigger('changed');
+        }
+        return macro.script();
+    };
+
+    macro.script = function() {
+        return {
+            version: SCRIPT_VERSION,
+            duration: started !== null ? Date.now() - started : duration,
+            actions: actions.map(function(action) {
+                return {time: action.time, method: action.method, args: action.args.slice()};
+            })
+        };
+    };
+}
+
+// A MacroPlayer replays a script on a robot. Options:
+//   speed: how many times faster than recorded to play (default 1).
+//   loop: whether to start over at the end, until stopped (default false).
+// Playback stops at the end of the script, when stop() is called, or when
+// the robot's stop() is called by anyone but the player.
+//   var player = new MacroPlayer(script, bot, {speed: 2});
+//   player.play().then(function() { ... });
+function MacroPlayer (script, bot, options) {
+    var player = this;
+    script = parse(script);
+    options = options || {};
+    var speed = typeof options.speed === 'number' && options.speed > 0 ? options.speed : 1;
+    var loop = !!options.loop;
+    var playing = false;
+    var replaying = false;
+    var timer = null;
+    var index = 0;
+    var started = 0;
+    var dispose = null;
+    var resolvePlay = null;
+
+    player.event = eventlib.Events.extend({});
+
+    player.__defineGetter__("playing", function() {
+        return playing;
+    });
+
+    function finish() {
+        clearTimeout(timer);
+        timer = null;
+        dispose();
+        playing = false;
+        player.event.trigger('changed');
+        resolvePlay();
+    }
+
+    function perform(action) {
+        replaying = true;
+        try {
+            var result = bot[action.method].apply(bot, action.args);
+            if (result && typeof result.then === 'function') {
+                result.then(null, function() {
+                    // Reported by the command itself.
+                });
+            }
+        } finally {
+            replaying = false;
+        }
+    }
+
+    // Perform the actions which are due, then wait for the next.
+    function next() {
+        var elapsed = (Date.now() - started) * speed;
+        while (index < script.actions.length && script.actions[index].time <= elapsed) {
+            perform(script.actions[index++]);
+            if (!playing) {
+                return;
+            }
+        }
+        if (index < script.actions.length) {
+            timer = setTimeout(next, (script.actions[index].time - elapsed) / speed);
+        } else if (elapsed < script.duration) {
+            timer = setTimeout(next, (script.duration - elapsed) / speed);
+        } else if (loop && script.duration > 0) {
+            index = 0;
+            started = Date.now();
+            next();
+        } else {
+            finish();
+        }
+    }
+
+    // Start playing. Resolves when playback ends, however it ends.
+    player.play = function() {
+        if (playing) {
+            return Promise.reject(invalid('the macro is already playing'));
+        }
+        return new Promise(function(resolve) {
+            resolvePlay = resolve;
+            playing = true;
+            index = 0;
+            started = Date.now();
+            dispose = bot.on('command', function(command) {
+                if (!replaying && command.method === 'stop') {
+                    finish();
+                }
+            });
+            player.event.trigger('changed');
+            next();
+        });
+    };
+
+    // Stop playing, and stop the robot.
+    player.stop = function() {
+        if (playing) {
+            finish();
+            perform({method: 'stop', args: []});
+        }
+    };
+}
+
+module.exports.SCRIPT_VERSION = SCRIPT_VERSION;
+module.exports.parse = parse;
+module.exports.MacroRecorder = MacroRecorder;
+module.exports.MacroPlayer = MacroPlayer;
@@ -3,29 +3,74 @@
 var manager = require('./manager.jsx');
 var uimanager = require('./manager-ui.jsx');
 var config = require('./config.jsx');
+var errors = require('./errors.jsx');
+var linkbotLib = require('./linkbot.jsx');
+var recorder = require('./recorder.jsx');
+var macros = require('./macro.jsx');
+var teach = require('./teach.jsx');
+var group = require('./group.jsx');
+var mirror = require('./mirror.jsx');
+var profiles = require('./profiles.jsx');
+var robotId = require('./robot-id.jsx');
 
 window.Linkbots = (function(){
     var mod = {};
     var startOpen = false;
 
     mod.addRobot = function(id) {
-        manager.addRobot(id);
+        return manager.addRobot(id);
+    };
+    mod.validateRobotId = function(id) {
+        return robotId.validate(id);
     };
     mod.removeRobot = function(id) {
         manager.removeRobot(id);
     };
+    mod.getRobotMeta = function(id) {
+        return manager.getRobotMeta(id.toUpperCase());
+    };
+    mod.setRobotMeta = function(id, meta) {
+        manager.setRobotMeta(id.toUpperCase(), meta);
+    };
+    mod.exportRoster = function() {
+        return manager.exportRoster();
+    };
+    mod.importRoster = function(text, options) {
+        return manager.importRoster(text, options);
+    };
+    mod.rosterProfiles = function() {
+        return profiles.names();
+    };
+    mod.activeRosterProfile = function() {
+        return profiles.active();
+    };
+    mod.saveRosterProfile = function(name) {
+        return profiles.save(name);
+    };
+    mod.useRosterProfile = function(name) {
+        return manager.useProfile(name);
+    };
+    mod.removeRosterProfile = function(name) {
+        return profiles.remove(name);
+    };
     mod.openSideMenu = function() {
         uimanager.uiEvents.trigger('show-menu');
     };
     mod.closeSideMenu = function() {
         uimanager.uiEvents.trigger('hide-menu');
     };
-    mod.acquire = function(count) {
-        return manager.acquire(count);
+    mod.acquire = function(count, options) {
+        return manager.acquire(count, options);
+    };
+    mod.acquireWait = function(count, options) {
+        return manager.acquireWait(count, options);
     };
     mod.relinquish = function(bot) {
         return manager.relinquish(bot);
     };
+    mod.renew = function(bot) {
+        return manager.renew(bot);
+    };
     mod.scan = function() {
         return baroboBridge.scan();
     };
@@ -61,6 +106,24 @@ window.Linkbots = (function(){
     };
     mod.managerEvents = manager.event;
     mod.uiEvents = uimanager.uiEvents;
+    mod.errorEvents = errors.event;
+    mod.errors = errors;
+    mod.RequestController = linkbotLib.RequestController;
+    mod.Recorder = recorder.Recorder;
+    mod.MacroRecorder = macros.MacroRecorder;
+    mod.MacroPlayer = macros.MacroPlayer;
+    mod.TeachMode = teach.TeachMode;
+    mod.LinkbotGroup = group.LinkbotGroup;
+    mod.Mirror = mirror.Mirror;
+    mod.savedWaypointLists = function() {
+        return teach.savedNames();
+    };
+    mod.pendingRequests = function() {
+        return linkbotLib.pendingRequests();
+    };
+    mod.setRequestTimeout = function(ms) {
+        linkbotLib.setDefaultTimeout(ms);
+    };
 
     if(window.attachEvent) {
         window.attachEvent('onload', function() {
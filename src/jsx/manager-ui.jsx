@@ -4,6 +4,12 @@ var React = require('react');
 var manager = require('./manager.jsx');
 var eventlib = require('./event.jsx');
 var linkbotLib = require('./linkbot.jsx');
+var errors = require('./errors.jsx');
+var Recorder = require('./recorder.jsx').Recorder;
+var macros = require('./macro.jsx');
+var TeachMode = require('./teach.jsx').TeachMode;
+var profiles = require('./profiles.jsx');
+var robotId = require('./robot-id.jsx');
 
 var uiEvents = eventlib.Events.extend({});
 var rad2deg = 180/Math.PI;
@@ -27,6 +33,18 @@ function removeClass(ele,cls) {
     }
 }
 
+// Offer text to the user as a file to save.
+function download(filename, type, text) {
+    var url = window.URL.createObjectURL(new Blob([text], {type: type}));
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+}
+
 function getPosition(element) {
     var xPosition = 0;
     var yPosition = 0;
@@ -563,7 +581,12 @@ var RobotItem = React.createClass({
     },
     getInitialState: function() {
         return {
-            color: '#606060'
+            color: '#606060',
+            editing: false,
+            nickname: '',
+            tags: '',
+            notes: '',
+            defaultColor: ''
         };
     },
     handleLinkbotChanged: function() {
@@ -624,10 +647,75 @@ var RobotItem = React.createClass({
         manager.removeRobot(this.props.linkbot.id);
         uiEvents.trigger('hide-control-panel');
     },
+    handleEdit: function(e) {
+        e.stopPropagation();
+        if (this.state.editing) {
+            this.setState({editing: false});
+            return;
+        }
+        var meta = manager.getRobotMeta(this.props.linkbot.id);
+        this.setState({
+            editing: true,
+            nickname: meta.nickname,
+            tags: meta.tags.join(', '),
+            notes: meta.notes,
+            defaultColor: meta.color || ''
+        });
+    },
+    nicknameInput: function(e) {
+        this.setState({nickname: e.target.value});
+    },
+    tagsInput: function(e) {
+        this.setState({tags: e.target.value});
+    },
+    notesInput: function(e) {
+        this.setState({notes: e.target.value});
+    },
+    defaultColorInput: function(e) {
+        this.setState({defaultColor: e.target.value});
+    },
+    clearDefaultColor: function(e) {
+        e.preventDefault();
+        this.setState({defaultColor: ''});
+    },
+    saveMeta: function(e) {
+        e.preventDefault();
+        manager.setRobotMeta(this.props.linkbot.id, {
+            nickname: this.state.nickname.trim(),
+            tags: this.state.tags.split(',').map(function(tag) {
+                return tag.trim();
+            }),
+            notes: this.state.notes,
+            color: this.state.defaultColor || null
+        });
+        this.setState({editing: false});
+    },
+    cancelMeta: function(e) {
+        e.preventDefault();
+        this.setState({editing: false});
+    },
     render: function() {
         var style = {
             backgroundColor: this.state.color
         };
+        var meta = manager.getRobotMeta(this.props.linkbot.id) || {nickname: '', tags: []};
+        var name = meta.nickname ? meta.nickname + " (" + this.props.linkbot.id + ")" : "Linkbot " + this.props.linkbot.id;
+        var editForm = null;
+        if (this.state.editing) {
+            editForm = (
+                <form className="ljs-robot-meta-form" onSubmit={this.saveMeta}>
+                    <label>Nickname <input onChange={this.nicknameInput} type="text" value={this.state.nickname} /></label>
+                    <label>Tags <input onChange={this.tagsInput} type="text" placeholder="red, table3" value={this.state.tags} /></label>
+                    <label>Notes <textarea onChange={this.notesInput} value={this.state.notes} /></label>
+                    <label>Colour <input onChange={this.defaultColorInput} type="color" value={this.state.defaultColor || '#606060'} /></label>
+                    <span>{this.state.defaultColor ? this.state.defaultColor : "none"}</span>
+                    <button onClick={this.clearDefaultColor} className="ljs-btn">No colour</button>
+                    <br />
+                    <button type="submit" className="ljs-btn">Save</button>
+                    <button onClick={this.cancelMeta} className="ljs-btn">Cancel</button>
+                </form>
+            );
+        }
         var buttonClass = "ljs-beep-btn";
         var buttonName = "beep";
         var statusLbl = this.props.linkbot.status;
@@ -646,17 +734,19 @@ var RobotItem = React.createClass({
 
 
         return (
-            <li {...this.props} style={style}>
+            <li {...this.props} style={style} className={this.state.editing ? "ljs-robot-editing" : ""}>
                 <input type="color" className="ljs-color-btn" onInput={this.handleColorChange} onChange={this.handleColorChange} value={this.state.color} />
                 <span className="ljs-color-btn-title">color</span>
                 <span className="ljs-remove-btn" onClick={this.handleTrash}>trash</span>
+                <span className="ljs-edit-btn" onClick={this.handleEdit}>edit</span>
                 <div className="ljs-slide-element" ref="slideElement" onClick={this.handleSlide}>
-                    <span className="ljs-robot-name">Linkbot {this.props.linkbot.id}</span>
+                    <span className="ljs-robot-name">{name}</span>
                     <span className={buttonClass} onClick={this.handleBeep}>{buttonName}</span>
                     <br />
                     <span>{statusLbl}</span>
-                    
+                    <span className="ljs-robot-tags">{meta.tags.join(', ')}</span>
                 </div>
+                {editForm}
             </li>
         );
 
@@ -665,12 +755,40 @@ var RobotItem = React.createClass({
 });
 
 var AddRobotForm = React.createClass({
+    getInitialState: function() {
+        return {
+            rejected: []
+        };
+    },
+    // Several IDs may be added at once, separated by commas or spaces. Those
+    // which can't be are left in the input, and why is shown below it.
     handleAddRobot: function(e) {
         e.preventDefault();
         var input = this.refs.robotInput.getDOMNode();
-        if (input.value && input.value.length == 4) {
-            manager.addRobot(input.value);
-            input.value = '';
+        var ids = input.value.split(/[\s,;]+/).filter(function(id) {
+            return id.length > 0;
+        });
+        if (ids.length === 0) {
+            ids = [input.value];
+        }
+        var rejected = robotId.validateAll(ids).filter(function(result) {
+            if (result.valid) {
+                manager.addRobot(result.id);
+                return false;
+            }
+            uiEvents.trigger('add-error', robotId.describe(result));
+            return true;
+        });
+        input.value = rejected.map(function(result) {
+            return result.id;
+        }).filter(function(id, i, list) {
+            return id.length > 0 && list.indexOf(id) === i;
+        }).join(', ');
+        this.setState({rejected: rejected});
+    },
+    handleInput: function() {
+        if (this.state.rejected.length > 0) {
+            this.setState({rejected: []});
         }
     },
     handleRefresh: function(e) {
@@ -682,14 +800,123 @@ var AddRobotForm = React.createClass({
             <div id="ljs-add-robot-form">
                 <form>
                     <label htmlFor="ljs-add-input" id="ljs-add-input-label" className="sr-only">Linkbot ID</label>
-                    <input name="robotId" id="ljs-add-input" type="text" placeholder="Linkbot ID" ref="robotInput" />
+                    <input name="robotId" id="ljs-add-input" type="text" placeholder="Linkbot ID" ref="robotInput" onChange={this.handleInput} />
                     <button onClick={this.handleAddRobot} className="ljs-btn">Add</button>
                 </form>
+                {this.state.rejected.map(function(result, i) {
+                    return <p key={i} className="ljs-add-error">{robotId.describe(result)}</p>;
+                })}
             </div>
         );
     }
     
 });
+var RosterForm = React.createClass({
+    getInitialState: function() {
+        return {
+            replace: false,
+            profiles: profiles.names(),
+            profile: profiles.active() || '',
+            profileName: ''
+        };
+    },
+    profilesChanged: function() {
+        this.setState({profiles: profiles.names(), profile: profiles.active() || ''});
+    },
+    handleExport: function(e) {
+        e.preventDefault();
+        download((profiles.active() || 'robots') + '.json', 'application/json', manager.exportRoster());
+    },
+    handleImport: function(e) {
+        var me = this;
+        var input = e.target;
+        var file = input.files[0];
+        if (!file) {
+            return;
+        }
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                var result = manager.importRoster(reader.result, {replace: me.state.replace});
+                // Shown as the add form shows the IDs it rejects.
+                result.invalid.forEach(function(rejected) {
+                    uiEvents.trigger('add-error', robotId.describe(rejected));
+                });
+            } catch (error) {
+                uiEvents.trigger('add-error', 'Unable to import ' + file.name + ': ' + error.message);
+            }
+            input.value = '';
+        };
+        reader.onerror = function() {
+            uiEvents.trigger('add-error', 'Unable to read ' + file.name);
+            input.value = '';
+        };
+        reader.readAsText(file);
+    },
+    replaceInput: function(e) {
+        this.setState({replace: e.target.checked});
+    },
+    profileInput: function(e) {
+        this.setState({profile: e.target.value});
+    },
+    profileNameInput: function(e) {
+        this.setState({profileName: e.target.value});
+    },
+    handleUseProfile: function(e) {
+        e.preventDefault();
+        if (this.state.profile) {
+            try {
+                manager.useProfile(this.state.profile);
+            } catch (error) {
+                uiEvents.trigger('add-error', error.message);
+            }
+            this.profilesChanged();
+        }
+    },
+    handleSaveProfile: function(e) {
+        e.preventDefault();
+        var name = this.state.profileName || this.state.profile;
+        if (name.trim().length > 0 && !profiles.save(name)) {
+            uiEvents.trigger('add-error', 'Unable to save the profile ' + name);
+        }
+        this.setState({profileName: ''});
+        this.profilesChanged();
+    },
+    handleRemoveProfile: function(e) {
+        e.preventDefault();
+        if (this.state.profile) {
+            profiles.remove(this.state.profile);
+            this.profilesChanged();
+        }
+    },
+    render: function() {
+        var options = this.state.profiles.map(function(name) {
+            return <option key={name} value={name}>{name}</option>;
+        });
+        return (
+            <div id="ljs-roster-form">
+                <form>
+                    <button onClick={this.handleExport} className="ljs-btn">Export</button>
+                    <label className="ljs-btn ljs-file-btn">Import<input type="file" accept=".json,.csv,.txt,application/json,text/csv,text/plain" onChange={this.handleImport} /></label>
+                    <label><input type="checkbox" checked={this.state.replace} onChange={this.replaceInput} /> replace</label>
+                </form>
+                <form>
+                    <select value={this.state.profile} onChange={this.profileInput}>
+                        <option value="">(no profile)</option>
+                        {options}
+                    </select>
+                    <button onClick={this.handleUseProfile} className="ljs-btn">Switch</button>
+                    <button onClick={this.handleRemoveProfile} className="ljs-btn">Delete</button>
+                </form>
+                <form onSubmit={this.handleSaveProfile}>
+                    <input type="text" placeholder="Profile name" value={this.state.profileName} onChange={this.profileNameInput} />
+                    <button onClick={this.handleSaveProfile} className="ljs-btn">Save</button>
+                </form>
+            </div>
+        );
+    }
+});
+
 var placeholder = document.createElement("li");
 placeholder.className = "placeholder";
 
@@ -847,6 +1074,7 @@ var RobotManagerSideMenu = React.createClass({
                 </div>
                 <div className="ljs-content">
                     <AddRobotForm />
+                    <RosterForm />
                     <div className="ljs-dongle-firmware ljs-hidden" ref="dongleUpdate">
                         <span className="button" onClick={this.handleFirmwareUpdate}></span>
                         <p>Update Needed</p>
@@ -919,11 +1147,61 @@ var ControlPanel = React.createClass({
             x: 0.0,
             y: 0.0,
             z: 0.0,
-            mag: 0.0
+            mag: 0.0,
+            recording: false,
+            samples: 0,
+            macroRecording: false,
+            macroPlaying: false,
+            macroActions: 0,
+            macroSpeed: 1,
+            macroLoop: false,
+            teaching: false,
+            teachPlaying: false,
+            waypoints: 0,
+            teachDwell: 500,
+            teachName: 'waypoints'
         };
     },
     componentWillMount: function() {
         var me = this;
+        this.recorder = new Recorder();
+        var recorderChanged = function() {
+            me.setState({
+                recording: me.recorder.recording,
+                samples: me.recorder.length
+            });
+        };
+        // Samples arrive many times a second, so the count is shown at most
+        // once a frame.
+        var nextFrame = function(callback) {
+            if (window.requestAnimationFrame) {
+                window.requestAnimationFrame(callback);
+            } else {
+                setTimeout(callback, 100);
+            }
+        };
+        var frameRequested = false;
+        var sampleTaken = function() {
+            if (!frameRequested) {
+                frameRequested = true;
+                nextFrame(function() {
+                    frameRequested = false;
+                    recorderChanged();
+                });
+            }
+        };
+        this.recorder.event.on('changed', recorderChanged);
+        this.recorder.event.on('sample', sampleTaken);
+        this.macro = new macros.MacroRecorder();
+        this.macroScript = null;
+        this.player = null;
+        this.teach = null;
+        this.macro.event.on('changed', function() {
+            me.setState({
+                macroRecording: me.macro.recording,
+                macroActions: me.macro.script().actions.length
+            });
+        });
         uiEvents.on('hide', function() {
             me.hideControlPanel();
         });
@@ -947,7 +1225,11 @@ var ControlPanel = React.createClass({
         if (this.state.linkbot != null) {
             // Clean up here.
             this.state.linkbot.stop();
-            this.state.linkbot.unregister(false);
+            this.unsubscribe();
+            this.recorder.stop();
+            this.recorder.remove(this.state.linkbot);
+            this.stopMacro();
+            this.stopTeach();
         }
         this.setState({
             linkbot:null,
@@ -968,7 +1250,11 @@ var ControlPanel = React.createClass({
         if (this.state.linkbot != null) {
             // Clean up here.
             this.state.linkbot.stop();
-            this.state.linkbot.unregister(false);
+            this.unsubscribe();
+            this.recorder.stop();
+            this.recorder.remove(this.state.linkbot);
+            this.stopMacro();
+            this.stopTeach();
         }
 
         if (linkbot.status == "offline" || linkbot.status == "update") {
@@ -986,73 +1272,26 @@ var ControlPanel = React.createClass({
             this.refs.controlPanel.getDOMNode().style.top = 75 + "px";
         }
         direction = [0, 0, 0];
-        linkbot.getFormFactor(function(data) {
-            if (linkbot.enums.FormFactor.I == data) {
-                secondMotor = 2;
-            } else if (linkbot.enums.FormFactor.L == data) {
-                secondMotor = 1;
+        this.teach = new TeachMode(linkbot);
+        this.teach.event.on('changed', function() {
+            if (me.teach !== null) {
+                me.setState({
+                    teaching: me.teach.teaching,
+                    teachPlaying: me.teach.playing,
+                    waypoints: me.teach.length
+                });
             }
         });
-        var regObj = {
-            accel: {
-                callback: function(robot, data, event) {
-                    me.refs.xAxis.setValue(event.x);
-                    me.refs.yAxis.setValue(event.y);
-                    me.refs.zAxis.setValue(event.z);
-                    var mag = Math.sqrt((event.x * event.x)  + (event.y * event.y) + (event.z * event.z));
-                    me.refs.mag.setValue(mag);
-                    me.setState({
-                        linkbot:me.state.linkbot,
-                        title:me.state.title,
-                        m1Value: me.state.m1Value,
-                        m2Value: me.state.m2Value,
-                        wheel1: me.state.wheel1,
-                        wheel2: me.state.wheel2,
-                        freq: me.state.freq,
-                        x: event.x.toFixed(4),
-                        y: event.y.toFixed(4),
-                        z: event.z.toFixed(4),
-                        mag: mag.toFixed(4)
-                    });
-                }
-            },
-            wheel: {
-                0: {
-                    distance: 1,
-                    callback: function(robot, data, event) {
-                        me.refs.knobJoint1.setMotorValue(event.position);
-                        if (syncKnobsWithMotors) {
-                            me.refs.knobJoint1.setValue(event.position, false);
-                        }
-                    }
-                },
-                1: {
-                    distance: 1,
-                    callback: function(robot, data, event) {
-                        me.refs.knobJoint2.setMotorValue(event.position);
-                        if (syncKnobsWithMotors) {
-                            me.refs.knobJoint2.setValue(event.position, false);
-                        }
-
-                    }
-                },
-                2: {
-                    distance: 1,
-                    callback: function(robot, data, event) {
-                        me.refs.knobJoint2.setMotorValue(event.position);
-                        if (syncKnobsWithMotors) {
-                            me.refs.knobJoint2.setValue(event.position, false);
-                        }
-                    }
-                }
-            },
-            joint: {
-              callback: function(jointNumber, eventType, timestamp) {
-                  // TODO implement this.
-              }
-            }
+        // The second knob drives the robot's second joint: joint 3 of a
+        // Linkbot-I, joint 2 otherwise. secondMotor counts from zero.
+        var useJoints = function() {
+            secondMotor = linkbot.joints[1] - 1;
         };
-
+        if (linkbot.joints === null) {
+            linkbot.getFormFactor(useJoints);
+        } else {
+            useJoints();
+        }
         this.setState({
             linkbot:linkbot,
             title:linkbot.id,
@@ -1066,7 +1305,7 @@ var ControlPanel = React.createClass({
             z: 0.0,
             mag: 0.0
         }, function() {
-            me.state.linkbot.register(regObj);
+            me.subscribe(linkbot);
             me.refs.buzzerFrequency.setValue(440);
             me.refs.speedJoint1.setValue(50);
             me.refs.speedJoint2.setValue(50);
@@ -1112,6 +1351,52 @@ var ControlPanel = React.createClass({
             me.refs.speedJoint2.setValue(d2);
         });
     },
+    subscribe: function(linkbot) {
+        var me = this;
+        var wheelChanged = function(knob) {
+            return function(event) {
+                me.refs[knob].setMotorValue(event.position);
+                if (syncKnobsWithMotors) {
+                    me.refs[knob].setValue(event.position, false);
+                }
+            };
+        };
+        // The control panel's subscriptions are the robot manager's, which
+        // stay when a program's robot is reclaimed.
+        this.subscriptions = linkbotLib.managerOwned(function() {
+            return [
+                linkbot.on('accelerometer', function(event) {
+                    me.refs.xAxis.setValue(event.x);
+                    me.refs.yAxis.setValue(event.y);
+                    me.refs.zAxis.setValue(event.z);
+                    var mag = Math.sqrt((event.x * event.x)  + (event.y * event.y) + (event.z * event.z));
+                    me.refs.mag.setValue(mag);
+                    me.setState({
+                        linkbot:me.state.linkbot,
+                        title:me.state.title,
+                        m1Value: me.state.m1Value,
+                        m2Value: me.state.m2Value,
+                        wheel1: me.state.wheel1,
+                        wheel2: me.state.wheel2,
+                        freq: me.state.freq,
+                        x: event.x.toFixed(4),
+                        y: event.y.toFixed(4),
+                        z: event.z.toFixed(4),
+                        mag: mag.toFixed(4)
+                    });
+                }),
+                linkbot.on('encoder', wheelChanged('knobJoint1'), {joint: 1, granularity: 1}),
+                linkbot.on('encoder', wheelChanged('knobJoint2'), {joint: 2, granularity: 1}),
+                linkbot.on('encoder', wheelChanged('knobJoint2'), {joint: 3, granularity: 1})
+            ];
+        });
+    },
+    unsubscribe: function() {
+        (this.subscriptions || []).forEach(function(dispose) {
+            dispose();
+        });
+        this.subscriptions = [];
+    },
     knob1Changed: function(data) {
         syncKnobsWithMotors = false;
         var me = this;
@@ -1369,6 +1654,140 @@ var ControlPanel = React.createClass({
         this.refs.knobJoint1.unlock();
         this.refs.knobJoint2.unlock();
     },
+    recordButton: function() {
+        var me = this;
+        if (this.recorder.recording) {
+            this.recorder.stop();
+        } else {
+            this.recorder.clear();
+            linkbotLib.managerOwned(function() {
+                me.recorder.add(me.state.linkbot);
+            });
+            this.recorder.start();
+        }
+    },
+    stopMacro: function() {
+        if (this.macro.recording) {
+            this.macroScript = this.macro.stop();
+        }
+        if (this.player !== null) {
+            this.player.stop();
+        }
+    },
+    macroRecordButton: function() {
+        var me = this;
+        if (this.macro.recording) {
+            this.macroScript = this.macro.stop();
+        } else {
+            this.stopMacro();
+            linkbotLib.managerOwned(function() {
+                me.macro.start(me.state.linkbot);
+            });
+        }
+    },
+    macroPlayButton: function() {
+        var me = this;
+        if (this.player !== null) {
+            this.player.stop();
+            return;
+        }
+        if (this.macroScript === null) {
+            return;
+        }
+        this.player = new macros.MacroPlayer(this.macroScript, this.state.linkbot, {
+            speed: parseFloat(this.state.macroSpeed) || 1,
+            loop: this.state.macroLoop
+        });
+        this.setState({macroPlaying: true});
+        linkbotLib.managerOwned(function() {
+            return me.player.play();
+        }).then(function() {
+            me.player = null;
+            me.setState({macroPlaying: false});
+        });
+    },
+    macroSpeedInput: function(e) {
+        this.setState({macroSpeed: e.target.value});
+    },
+    macroLoopInput: function(e) {
+        this.setState({macroLoop: e.target.checked});
+    },
+    saveMacro: function() {
+        if (this.macroScript !== null) {
+            download('linkbot-macro.json', 'application/json', JSON.stringify(this.macroScript, null, 2));
+        }
+    },
+    loadMacro: function(e) {
+        var me = this;
+        var file = e.target.files[0];
+        if (!file) {
+            return;
+        }
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                me.macroScript = macros.parse(reader.result);
+                me.setState({macroActions: me.macroScript.actions.length});
+            } catch (error) {
+                errors.report(error);
+            }
+        };
+        reader.readAsText(file);
+    },
+    stopTeach: function() {
+        if (this.teach !== null) {
+            this.teach.stop();
+            this.teach = null;
+            this.setState({teaching: false, teachPlaying: false, waypoints: 0});
+        }
+    },
+    teachButton: function() {
+        if (this.teach.teaching) {
+            this.teach.stop();
+        } else {
+            linkbotLib.managerOwned(this.teach.start);
+        }
+    },
+    teachPlayButton: function() {
+        if (this.teach.playing) {
+            this.teach.stop();
+            return;
+        }
+        var me = this;
+        linkbotLib.managerOwned(function() {
+            return me.teach.play({
+                speed: me.state.m1Value,
+                dwell: parseInt(me.state.teachDwell, 10) || 0
+            });
+        }).then(null, function(error) {
+            errors.report(error);
+        });
+    },
+    teachClearButton: function() {
+        this.teach.clear();
+    },
+    teachDwellInput: function(e) {
+        this.setState({teachDwell: e.target.value});
+    },
+    teachNameInput: function(e) {
+        this.setState({teachName: e.target.value});
+    },
+    saveTeach: function() {
+        if (!this.teach.save(this.state.teachName)) {
+            uiEvents.trigger('add-error', 'Unable to write waypoints to the configuration file');
+        }
+    },
+    loadTeach: function() {
+        if (!this.teach.load(this.state.teachName)) {
+            uiEvents.trigger('add-error', 'No waypoints are saved as ' + this.state.teachName);
+        }
+    },
+    exportCSV: function() {
+        download('linkbot-' + this.state.title + '.csv', 'text/csv', this.recorder.exportCSV());
+    },
+    exportJSON: function() {
+        download('linkbot-' + this.state.title + '.json', 'application/json', this.recorder.exportJSON());
+    },
     hideAll: function() {
         uiEvents.trigger('hide');
     },
@@ -1463,6 +1882,51 @@ var ControlPanel = React.createClass({
                                     <p>mag:<br /><span id="accel-mag-value">{this.state.mag}</span></p>
                                 </div>
                             </div>
+                            <div className="ljs-control-poster ljs-recorder">
+                                <div>
+                                    <button className={"drive-control-btn-lg ljs-btn-zero" + (this.state.recording ? " ljs-btn-recording" : "")} onClick={this.recordButton}>{this.state.recording ? "stop recording" : "record"}</button>
+                                </div>
+                                <p>{this.state.samples} samples</p>
+                                <div>
+                                    <button className="ljs-btn-export" onClick={this.exportCSV} disabled={this.state.samples === 0}>CSV</button>
+                                    <button className="ljs-btn-export" onClick={this.exportJSON} disabled={this.state.samples === 0}>JSON</button>
+                                </div>
+                            </div>
+                            <div className="ljs-control-poster ljs-recorder">
+                                <div>
+                                    <button className={"drive-control-btn-lg ljs-btn-zero" + (this.state.macroRecording ? " ljs-btn-recording" : "")} onClick={this.macroRecordButton}>{this.state.macroRecording ? "stop macro" : "record macro"}</button>
+                                </div>
+                                <div>
+                                    <button className="drive-control-btn-lg ljs-btn-zero" onClick={this.macroPlayButton} disabled={this.state.macroRecording || this.state.macroActions === 0}>{this.state.macroPlaying ? "stop playing" : "play macro"}</button>
+                                </div>
+                                <p>
+                                    {this.state.macroActions} actions,
+                                    <input onChange={this.macroSpeedInput} className="ljs-slider-input ljs-margin-left" type="number" min="0.1" max="10" step="0.1" value={this.state.macroSpeed} /> x speed,
+                                    <label className="ljs-margin-left"><input type="checkbox" checked={this.state.macroLoop} onChange={this.macroLoopInput} /> loop</label>
+                                </p>
+                                <div>
+                                    <button className="ljs-btn-export" onClick={this.saveMacro} disabled={this.state.macroActions === 0}>save</button>
+                                    <input className="ljs-btn-export" type="file" accept=".json,application/json" onChange={this.loadMacro} />
+                                </div>
+                            </div>
+                            <div className="ljs-control-poster ljs-recorder">
+                                <div>
+                                    <button className={"drive-control-btn-lg ljs-btn-zero" + (this.state.teaching ? " ljs-btn-recording" : "")} onClick={this.teachButton} disabled={this.state.teachPlaying}>{this.state.teaching ? "stop teaching" : "teach"}</button>
+                                </div>
+                                <div>
+                                    <button className="drive-control-btn-lg ljs-btn-zero" onClick={this.teachPlayButton} disabled={this.state.waypoints === 0}>{this.state.teachPlaying ? "stop playing" : "play waypoints"}</button>
+                                </div>
+                                <p>
+                                    {this.state.waypoints} waypoints,
+                                    <input onChange={this.teachDwellInput} className="ljs-slider-input ljs-margin-left" type="number" min="0" step="100" value={this.state.teachDwell} /> ms dwell
+                                </p>
+                                <div>
+                                    <input onChange={this.teachNameInput} className="ljs-slider-input" type="text" value={this.state.teachName} />
+                                    <button className="ljs-btn-export" onClick={this.saveTeach} disabled={this.state.waypoints === 0}>save</button>
+                                    <button className="ljs-btn-export" onClick={this.loadTeach}>load</button>
+                                    <button className="ljs-btn-export" onClick={this.teachClearButton} disabled={this.state.waypoints === 0}>clear</button>
+                                </div>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -1515,13 +1979,22 @@ var ErrorConsole = React.createClass({
         var me = this;
 
         uiEvents.on('add-error', function(error) {
-            var errors = me.state.errors.slice();
-            errors.unshift(error);
+            var errorList = me.state.errors.slice();
+            errorList.unshift(error);
             me.setState({
                 show: true,
-                errors: errors
+                errors: errorList
             });
         });
+        errors.event.on('error', function(error) {
+            uiEvents.trigger('add-error', error.toString());
+        });
+        manager.event.on('id-rejected', function(result) {
+            uiEvents.trigger('add-error', robotId.describe(result));
+        });
+        manager.event.on('reclaimed', function(reclaimed) {
+            uiEvents.trigger('add-error', reclaimed.robot.id + ' was reclaimed from ' + reclaimed.program);
+        });
         uiEvents.on('hide-console', function() {
             me.setState({
                 show: false,
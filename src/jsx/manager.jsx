@@ -3,8 +3,11 @@
 var botlib = require('./linkbot.jsx');
 var eventlib = require('./event.jsx');
 var managerUi = require('./manager-ui.jsx');
-var storageLib = require('./storage.jsx');
-var config = require('./config.jsx');
+var roster = require('./roster.jsx');
+var rosterFile = require('./roster-file.jsx');
+var robotId = require('./robot-id.jsx');
+var profiles = require('./profiles.jsx');
+var errors = require('./errors.jsx');
 
 var robots = [];
 var pingRobots = [];
@@ -18,6 +21,19 @@ navigationItems.push({'title':title, 'url':'#'});
 
 var events = eventlib.Events.extend({});
 
+// Acquisitions waiting for robots, oldest first. Each is
+// {count, matches, resolve, reject, timer, signal, onAbort}.
+var waiting = [];
+var serving = false;
+// The robots this page has acquired, which it relinquishes when it unloads.
+var acquiredHere = [];
+// Milliseconds an acquisition lasts unless renewed, by default: zero, for
+// one which never expires, so programs opt in to leases. Programs which
+// don't, and can't renew one, are never reclaimed from.
+var DEFAULT_LEASE = 0;
+// Map of robot ID to its lease, {lease, timer}, while it is acquired.
+var leases = {};
+
 function findRobot(id) {
     for (var i = 0; i < robots.length; i++) {
         if (robots[i].id == id) {
@@ -27,25 +43,67 @@ function findRobot(id) {
     return undefined;
 }
 
-function readRobotsFromConfig() {
-    var robots = config.get('robots');
-    if (typeof robots !== 'undefined') {
-        return robots.map(function (id) { return new botlib.AsyncLinkbot(id); });
-    }
-    else {
-        return [];
+// Set a robot's LED to the colour its metadata gives, if any.
+function applyColor(bot) {
+    var entry = roster.get(bot.id);
+    var color = entry && entry.meta.color;
+    if (color) {
+        bot.color(parseInt(color.substr(1, 2), 16),
+                  parseInt(color.substr(3, 2), 16),
+                  parseInt(color.substr(5, 2), 16)).then(null, errors.report);
     }
 }
 
-function writeRobotsToConfig(bots) {
-    if (Array.isArray(bots)) {
-        if (!config.set('robots', bots.map(function (b) { return b.id; }))) {
-            console.warn("Unable to write robots array to configuration");
+// Every robot is made here, so that waiting acquisitions hear when it
+// becomes ready, and so that it takes its colour when it connects.
+function makeRobot(id) {
+    var bot = new botlib.AsyncLinkbot(id);
+    var online = false;
+    bot.event.on('changed', function() {
+        var wasOnline = online;
+        online = bot.status === "ready" || bot.status === "acquired";
+        // Setting the colour triggers 'changed' again.
+        if (online && !wasOnline) {
+            applyColor(bot);
+        }
+        // A robot which disconnects, e.g. as it is removed, is no longer
+        // acquired, and its lease can't expire.
+        if (bot.status !== "acquired") {
+            forgetAcquisition(bot);
+        }
+        serveWaiting();
+    });
+    return bot;
+}
+
+// Bring the robots into line with the roster after it changes: disconnect
+// the removed ones, make the added ones, and put them all in its order.
+function followRoster(changes) {
+    changes.removed.forEach(function(id) {
+        var robot = findRobot(id);
+        if (robot) {
+            robot.disconnect();
         }
+    });
+    robots = changes.roster.map(function(id) {
+        return findRobot(id) || makeRobot(id);
+    });
+}
+
+roster.event.on('roster-changed', function(changes) {
+    followRoster(changes);
+    events.trigger('roster-changed', changes);
+    // The old 'changed' event says what kind of change it was.
+    if (changes.added.length > 0) {
+        events.trigger('changed', 1);
+    } else if (changes.removed.length > 0) {
+        events.trigger('changed', 2);
+    } else if (changes.moved.length > 0) {
+        events.trigger('changed', 3);
     } else {
-        console.warn("Invalid robots array not writing to configuration");
+        events.trigger('changed', 4);
     }
-}
+});
 
 function disconnectAll() {
     for (var i = 0; i < robots.length; i++) {
@@ -54,30 +112,24 @@ function disconnectAll() {
 }
 
 module.exports.moveRobot = function(from, to) {
-    robots.splice(to, 0, robots.splice(from, 1)[0]);
-    writeRobotsToConfig(robots);
-    events.trigger('changed', 3);
-    storageLib.changePosition(from, to, function(success){
-        if (!success) {
-            console.warn("Unable to write to HTML5 storage");
-        }
-    });
-    
+    roster.move(from, to);
 };
 
+// Add a robot to the robot manager. Returns the ID's validation, as
+// robot-id.jsx gives it. If it isn't valid nothing is added, and unless the
+// robot was only in the robot manager already, as it is each time a page which
+// adds its robots loads, an 'id-rejected' event is triggered with it.
 module.exports.addRobot = function(id) {
-    if (typeof id == 'undefined' || id == null || id.length < 3 || /[a|e|i|o|u|0]/gi.test(id)) {
-        return;
-    }
-    var identifier = id.toUpperCase();
-    var robot = findRobot(identifier);
-    if (!robot) {
-        robots.push(new botlib.AsyncLinkbot(identifier));
-        writeRobotsToConfig(robots);
-        storageLib.add(identifier, 0);
-        events.trigger('changed', 1);
-        asyncBaroboBridge.sendRobotPing([identifier], botlib.addGenericCallback());
+    var result = robotId.validate(id);
+    if (!result.valid) {
+        if (result.reasons[0].reason !== 'in-roster') {
+            events.trigger('id-rejected', result);
+        }
+        return result;
     }
+    roster.add(result.id);
+    asyncBaroboBridge.sendRobotPing([result.id], botlib.addGenericCallback());
+    return result;
 };
 
 module.exports.getRobot = function(id) {
@@ -88,6 +140,22 @@ module.exports.getRobots = function() {
     return robots;
 };
 
+// A robot's metadata, {nickname, notes, tags, color}, or undefined if it
+// isn't in the robot manager.
+module.exports.getRobotMeta = function(id) {
+    var entry = roster.get(id);
+    return entry && entry.meta;
+};
+
+// Change some of a robot's metadata. A new colour is set at once.
+module.exports.setRobotMeta = function(id, meta) {
+    roster.setMeta(id, meta);
+    var robot = findRobot(id);
+    if (robot && meta.hasOwnProperty('color') && robot.status !== "offline" && robot.status !== "update") {
+        applyColor(robot);
+    }
+};
+
 module.exports.disconnectAll = disconnectAll;
 
 function batchcallPings(error) {
@@ -101,7 +169,7 @@ function batchcallPings(error) {
         }
     }
     else {
-        window.console.warn('error occurred [' + error.category + '] :: ' + error.message);
+        errors.report(error);
     }
 }
 
@@ -121,59 +189,323 @@ function refresh () {
 
 module.exports.refresh = refresh;
 
+// The roster as the JSON text of a roster file.
+module.exports.exportRoster = function() {
+    return rosterFile.format(roster.entries());
+};
+
+// Import a roster file, as read by roster-file.jsx, adding its robots to the
+// roster, or with the replace option, replacing the roster with them. Returns
+// {changes, invalid}: the roster's diff, and the file's items which weren't
+// robot IDs, each with the reasons, as addRobot gives them.
+module.exports.importRoster = function(text, options) {
+    var file = rosterFile.parse(text);
+    var changes = options && options.replace ? roster.replace(file.entries) : roster.merge(file.entries);
+    refresh();
+    return {changes: changes, invalid: file.invalid};
+};
+
+// Switch to a roster profile, as profiles.jsx describes.
+module.exports.useProfile = function(name) {
+    var changes = profiles.use(name);
+    refresh();
+    return changes;
+};
+
 module.exports.event = events;
 
 module.exports.removeRobot = function(id) {
-    var index, robot;
-    robot = findRobot(id);
-    if (robot) {
-        robot.disconnect();
-        index = robots.indexOf(robot);
-        robots.splice(index, 1);
-        writeRobotsToConfig(robots);
-        storageLib.remove(id, function(success) {
-           if (success) {
-               storageLib.updateOrder();
-           }
-        });
-        events.trigger('changed', 2);
+    if (findRobot(id)) {
+        roster.remove(id);
     }
 };
 
-module.exports.acquire = function(n) {
+// A predicate for the robots an acquisition may have: those which are ready
+// and, if the options say so, have one of the given form factors ('I', 'L'
+// or 'T', or a list of them), one of the given ids, and one of the given tags
+// (a tag or list of them).
+function acquirable(options) {
+    options = options || {};
+    var formFactors = options.formFactor ? [].concat(options.formFactor) : null;
+    var ids = options.ids ? options.ids.map(function(id) { return id.toUpperCase(); }) : null;
+    var tags = options.tag ? [].concat(options.tag) : null;
+    return function(bot) {
+        // A robot dropped from the roster is disconnected before it leaves the
+        // list, so may have no entry meanwhile.
+        var entry = roster.get(bot.id);
+        return bot.status === "ready"
+            && (formFactors === null || formFactors.indexOf(bot.formFactor) >= 0)
+            && (ids === null || ids.indexOf(bot.id) >= 0)
+            && (tags === null || (entry && entry.meta.tags.some(function(tag) {
+                return tags.indexOf(tag) >= 0;
+            })));
+    };
+}
+
+// The robots held for waiting acquisitions: any which one of them could
+// have. Newer acquisitions can't take them, so that older ones waiting for
+// more robots aren't starved.
+function heldRobots() {
+    var held = [];
+    waiting.forEach(function(request) {
+        robots.forEach(function(bot) {
+            if (held.indexOf(bot) < 0 && request.matches(bot)) {
+                held.push(bot);
+            }
+        });
+    });
+    return held;
+}
+
+// Take a robot back from a program which let its lease expire: drop every
+// subscription the program made, so that it doesn't hear the rest, stop the
+// robot, and make it ready for others.
+function reclaim(bot) {
+    var program = leases[bot.id].lease.program;
+    endLease(bot);
+    bot.offProgram();
+    bot.stop().then(null, function() {
+        // Already reported by stop.
+    });
+    relinquish(bot);
+    events.trigger('reclaimed', {robot: bot, program: program});
+}
+
+function startLease(bot, lease) {
+    var held = {lease: lease, timer: null};
+    if (lease.duration > 0) {
+        held.timer = setTimeout(function() {
+            reclaim(bot);
+        }, lease.duration);
+    }
+    leases[bot.id] = held;
+}
+
+function endLease(bot) {
+    if (leases.hasOwnProperty(bot.id)) {
+        clearTimeout(leases[bot.id].timer);
+        delete leases[bot.id];
+    }
+}
+
+// End a robot's lease, if any, and don't relinquish it on unload.
+function forgetAcquisition(bot) {
+    endLease(bot);
+    var here = acquiredHere.indexOf(bot);
+    if (here >= 0) {
+        acquiredHere.splice(here, 1);
+    }
+}
+
+// A Lease is a program's hold on the robots it acquired. Unless renewed
+// within its duration, the robots are reclaimed: stopped, rid of the
+// program's subscriptions and made ready again, with a 'reclaimed' event,
+// {robot, program}. A duration of zero never expires.
+function Lease(bots, program, duration) {
+    var lease = this;
+    var expires = 0;
+
+    lease.__defineGetter__("robots", function() {
+        return bots.filter(function(bot) {
+            return leases.hasOwnProperty(bot.id) && leases[bot.id].lease === lease;
+        });
+    });
+    lease.__defineGetter__("program", function() {
+        return program;
+    });
+    lease.__defineGetter__("duration", function() {
+        return duration;
+    });
+    // When the lease expires, in milliseconds since the epoch, or null if it
+    // never does.
+    lease.__defineGetter__("expires", function() {
+        return duration > 0 ? expires : null;
+    });
+
+    // Extend the lease by its duration from now. Call this periodically, as a
+    // heartbeat, for as long as the program needs the robots.
+    lease.renew = function() {
+        expires = Date.now() + duration;
+        lease.robots.forEach(function(bot) {
+            endLease(bot);
+            startLease(bot, lease);
+        });
+    };
+
+    // Relinquish all of the lease's robots.
+    lease.release = function() {
+        lease.robots.forEach(relinquish);
+    };
+
+    expires = Date.now() + duration;
+    bots.forEach(function(bot) {
+        startLease(bot, lease);
+    });
+}
+
+// Mark robots acquired, and describe the acquisition as acquire() does, with
+// the lease the program holds them by. Options:
+//   lease: milliseconds the lease lasts unless renewed (default zero, which
+//          never expires).
+//   program: the name of the program acquiring them (default the page
+//            title).
+function grant(bots, options) {
+    options = options || {};
+    bots.forEach(function(bot) {
+        bot.status = "acquired";
+        if (acquiredHere.indexOf(bot) < 0) {
+            acquiredHere.push(bot);
+        }
+    });
+    var duration = typeof options.lease === 'number' ? options.lease : DEFAULT_LEASE;
+    return {
+        robots: bots,
+        registered: robots.length,
+        ready: robots.filter(function(r) { return r.status === "ready"; }).length,
+        lease: new Lease(bots, options.program || title, duration)
+    };
+}
+
+function stopWaiting(request) {
+    waiting.splice(waiting.indexOf(request), 1);
+    clearTimeout(request.timer);
+    if (request.signal) {
+        request.signal.removeEventListener('abort', request.onAbort);
+    }
+}
+
+// Hand out robots to waiting acquisitions, oldest first. An acquisition
+// which can't have all it asks for yet holds those it could have.
+function serveWaiting() {
+    if (serving) {
+        return;
+    }
+    serving = true;
+    try {
+        var held = [];
+        waiting.slice().forEach(function(request) {
+            var candidates = robots.filter(function(bot) {
+                return held.indexOf(bot) < 0 && request.matches(bot);
+            });
+            if (candidates.length >= request.count) {
+                stopWaiting(request);
+                request.resolve(grant(candidates.slice(0, request.count), request.options));
+            } else {
+                held = held.concat(candidates);
+            }
+        });
+    } finally {
+        serving = false;
+    }
+}
+
+// Acquire n ready robots now, if there are that many, skipping those held for
+// waiting acquisitions. Options restrict the robots as acquireWait's do, and
+// set the lease as grant's do.
+module.exports.acquire = function(n, options) {
+    var held = heldRobots();
+    var matches = acquirable(options);
     var readyBots = robots.filter(function(r) {
-       return r.status === "ready";
+       return held.indexOf(r) < 0 && matches(r);
     });
-    var ret = {
+    if (readyBots.length >= n) {
+        return grant(readyBots.slice(0, n), options);
+    }
+    return {
         robots: [],
         registered: robots.length,
         ready: readyBots.length
     };
-    if (ret.ready >= n) {
-        var rs = readyBots.slice(0, n);
-        rs.map(function(r) {
-            r.status = "acquired";
-            return r.status;
-        });
-        ret.robots = rs.map(function(r) {
-            return r;
-        });
-        ret.ready -= n;
-    }
-    return ret;
 };
-module.exports.relinquish = function(bot) {
+
+// Acquire n robots, waiting until enough are ready. Acquisitions are served
+// in the order they are made. Options:
+//   formFactor: acquire only robots of this form factor, or list of them.
+//   ids: acquire only robots with these IDs.
+//   tag: acquire only robots with this tag, or one of a list of them.
+//   timeout: milliseconds to wait before failing with a TimeoutError. Zero,
+//            the default, waits forever.
+//   signal: a RequestController's signal, which fails the acquisition with
+//           a CancelledError when aborted.
+//   lease, program: as for grant.
+// Resolves with the same {robots, registered, ready, lease} as acquire().
+module.exports.acquireWait = function(n, options) {
+    options = options || {};
+    return new Promise(function(resolve, reject) {
+        var request = {
+            count: n,
+            options: options,
+            matches: acquirable(options),
+            resolve: resolve,
+            reject: reject,
+            timer: null,
+            signal: options.signal || null,
+            onAbort: function() {
+                stopWaiting(request);
+                reject(errors.localError('CANCELLED', 'the acquisition was cancelled'));
+                serveWaiting();
+            }
+        };
+        if (request.signal && request.signal.aborted) {
+            request.onAbort();
+            return;
+        }
+        waiting.push(request);
+        if (options.timeout > 0) {
+            request.timer = setTimeout(function() {
+                stopWaiting(request);
+                reject(errors.localError('TIMEOUT', n + ' robots were not ready within ' + options.timeout + 'ms'));
+                // Robots it held may do for others.
+                serveWaiting();
+            }, options.timeout);
+        }
+        if (request.signal) {
+            request.signal.addEventListener('abort', request.onAbort);
+        }
+        serveWaiting();
+    });
+};
+
+function relinquish(bot) {
     var idx = robots.map(function(x) {
         return x.id;
     }).indexOf(bot.id);
     if (idx >= 0 && robots[idx].status === "acquired") {
+        forgetAcquisition(robots[idx]);
         robots[idx].status = "ready";
         return robots[idx].status;
     } else {
         return false;
     }
+}
+
+module.exports.relinquish = relinquish;
+
+// Renew the lease by which a robot is acquired. Returns false if it isn't.
+module.exports.renew = function(bot) {
+    if (!leases.hasOwnProperty(bot.id)) {
+        return false;
+    }
+    leases[bot.id].lease.renew();
+    return true;
 };
 
+// Give back the robots this page acquired, and abandon its waiting
+// acquisitions, so that other pages can have them once it is gone.
+function relinquishAcquired() {
+    waiting.slice().forEach(function(request) {
+        stopWaiting(request);
+        request.reject(errors.localError('CANCELLED', 'the page was unloaded before the acquisition was served'));
+    });
+    acquiredHere.slice().forEach(relinquish);
+}
+
+if (window.addEventListener) {
+    window.addEventListener('unload', relinquishAcquired);
+} else if (window.attachEvent) {
+    window.attachEvent('onunload', relinquishAcquired);
+}
+
 module.exports.getNavigationTitle = function() {
     return title;
 };
@@ -224,27 +556,13 @@ module.exports.setNavigationItems = function(items) {
     events.trigger('navigation-changed', 1);
 };
 /**
- * Load Robots from Configuration or HTML5 Storage.
+ * Load the roster, reconciling the configuration and HTML5 Storage.
  * setTimeout is used to execute the code after all the modules have loaded.
  */
 setTimeout(function() {
-    robots = readRobotsFromConfig();
-    if (!robots || robots.length == 0) {
-        robots = [];
-        storageLib.getAll(function (bots) {
-            for (var i = 0; i < bots.length; i++) {
-                robots.push(new botlib.AsyncLinkbot(bots[i].name));
-            }
-            if (bots.length > 0) {
-                writeRobotsToConfig(robots);
-                refresh();
-                events.trigger('changed', 1);
-            }
-        });
-    } else {
+    roster.load(function() {
         refresh();
-        events.trigger('changed', 1);
-    }
+    });
 }, 1);
 
 
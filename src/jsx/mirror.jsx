@@ -0,0 +1,252 @@
+"use strict";
+
+var eventlib = require('./event.jsx');
+var errors = require('./errors.jsx');
+
+var DEFAULT_INTERVAL = 50;
+var DEFAULT_GRANULARITY = 1.0;
+
+// Normalize the joints option of a Mirror into a map of leader joint to
+// {joint, scale, invert, offset}. Each entry may be just the follower's joint.
+function jointMapping (joints) {
+    var mapping = {};
+    for (var key in joints) {
+        if (joints.hasOwnProperty(key)) {
+            var entry = joints[key];
+            if (typeof entry === 'number') {
+                entry = {joint: entry};
+            }
+            if (['1', '2', '3'].indexOf(key) < 0 || !entry || [1, 2, 3].indexOf(entry.joint) < 0) {
+                throw errors.localError('INVALID_ARGUMENT', 'bad joint mapping for joint ' + key);
+            }
+            mapping[key] = {
+                joint: entry.joint,
+                scale: typeof entry.scale === 'number' ? entry.scale : 1,
+                invert: !!entry.invert,
+                offset: typeof entry.offset === 'number' ? entry.offset : 0
+            };
+        }
+    }
+    return mapping;
+}
+
+// Each of the joints a follower has, mapped to itself.
+function sameJoints (follower) {
+    var joints = {};
+    (follower.joints || [1, 2, 3]).forEach(function(joint) {
+        joints[joint] = joint;
+    });
+    return jointMapping(joints);
+}
+
+// A Channel sends one follower the latest targets for its joints. Only one
+// moveTo is in flight at a time, and none is sent within interval
+// milliseconds of the last; targets arriving meanwhile are coalesced, as
+// driveTo coalesces, so the follower never falls behind a backlog of stale
+// positions however slowly the link answers.
+function Channel (bot, interval, onFailure) {
+    var channel = this;
+    var targets = null;
+    var inFlight = false;
+    var timer = null;
+    var lastSent = 0;
+
+    channel.bot = bot;
+
+    function flush() {
+        timer = null;
+        if (targets === null) {
+            return;
+        }
+        var sending = targets;
+        targets = null;
+        inFlight = true;
+        lastSent = Date.now();
+        bot.moveTo(sending).then(sent, function(error) {
+            onFailure(bot, error);
+            sent();
+        });
+    }
+
+    function sent() {
+        inFlight = false;
+        channel.send({});
+    }
+
+    // Aim the follower's joints at the given map of joint to angle.
+    channel.send = function(update) {
+        for (var joint in update) {
+            if (update.hasOwnProperty(joint)) {
+                targets = targets || {};
+                targets[joint] = update[joint];
+            }
+        }
+        if (inFlight || timer !== null || targets === null) {
+            return;
+        }
+        var wait = lastSent + interval - Date.now();
+        if (wait > 0) {
+            timer = setTimeout(flush, wait);
+        } else {
+            flush();
+        }
+    };
+
+    channel.cancel = function() {
+        clearTimeout(timer);
+        timer = null;
+        targets = null;
+    };
+}
+
+// A Mirror makes one or more follower robots copy the joint positions of a
+// leader, as reported by its encoder events, so that one robot can puppet
+// others. Options:
+//   joints: a map of leader joint to the follower joint it drives, or to
+//           {joint, scale, invert, offset}, the follower's angle being
+//           (invert ? -1 : 1) * scale * the leader's angle + offset. By
+//           default each joint drives the same joint of each follower.
+//   interval: the fewest milliseconds between commands to a follower
+//             (default 50).
+//   granularity: the leader's encoder granularity, in degrees (default 1).
+//   speed: the followers' joint speed, in degrees per second (default: as
+//          set).
+//   relax: whether to relax the leader's joints on starting, so that it can
+//          be posed by hand (default true).
+// The followers may be a robot, a list of robots, or a LinkbotGroup.
+//   var mirror = new Mirror(leader, follower, {joints: {1: 1, 3: {joint: 3, invert: true}}});
+//   mirror.start();
+//   ...
+//   mirror.stop();
+function Mirror (leader, followers, options) {
+    var mirror = this;
+    options = options || {};
+    if (followers && Array.isArray(followers.robots)) {
+        followers = followers.robots;
+    } else if (!Array.isArray(followers)) {
+        followers = [followers];
+    }
+    var mapping = options.joints ? jointMapping(options.joints) : null;
+    var interval = typeof options.interval === 'number' ? options.interval : DEFAULT_INTERVAL;
+    var granularity = typeof options.granularity === 'number' ? options.granularity : DEFAULT_GRANULARITY;
+    var relax = options.relax !== false;
+    var channels = [];
+    var dispose = null;
+
+    mirror.event = eventlib.Events.extend({});
+
+    mirror.__defineGetter__("running", function() {
+        return dispose !== null;
+    });
+    mirror.__defineGetter__("leader", function() {
+        return leader;
+    });
+    mirror.__defineGetter__("followers", function() {
+        return followers.slice();
+    });
+
+    function failed(bot, error) {
+        mirror.event.trigger('failure', {robot: bot, error: error});
+    }
+
+    // The targets for a follower's joints when the leader's joints are at the
+    // given map of joint to angle.
+    function targetsFor(channel, positions) {
+        var targets = {};
+        for (var joint in positions) {
+            if (positions.hasOwnProperty(joint) && channel.mapping.hasOwnProperty(joint)) {
+                var map = channel.mapping[joint];
+                targets[map.joint] = (map.invert ? -1 : 1) * map.scale * positions[joint] + map.offset;
+            }
+        }
+        return targets;
+    }
+
+    // A NoSuchJointError for the first joint the mapping drives which the
+    // channel's follower lacks, or null if it has them all, or its form
+    // factor isn't known yet.
+    function missingJoint(channel) {
+        var joints = channel.bot.joints;
+        for (var joint in channel.mapping) {
+            if (channel.mapping.hasOwnProperty(joint) && joints
+                && joints.indexOf(channel.mapping[joint].joint) < 0) {
+                return errors.localError('NO_SUCH_JOINT',
+                    'the robot has no joint ' + channel.mapping[joint].joint, channel.bot.id);
+            }
+        }
+        return null;
+    }
+
+    function follow(positions) {
+        channels.forEach(function(channel) {
+            channel.send(targetsFor(channel, positions));
+        });
+    }
+
+    // Start mirroring. The followers are first sent to the leader's current
+    // position. Resolves once they have been. Rejects with a
+    // NoSuchJointError, without starting, if the joints option maps onto a
+    // joint a follower lacks.
+    mirror.start = function() {
+        mirror.stop();
+        channels = followers.map(function(bot) {
+            var channel = new Channel(bot, interval, failed);
+            channel.mapping = mapping || sameJoints(bot);
+            return channel;
+        });
+        var missing = channels.map(missingJoint).filter(function(error) {
+            return error !== null;
+        });
+        if (missing.length > 0) {
+            channels = [];
+            var refused = Promise.reject(missing[0]);
+            // Reported, as a failed command is, so it isn't left unhandled.
+            refused.then(null, errors.report);
+            return refused;
+        }
+        dispose = leader.on('encoder', function(event) {
+            var positions = {};
+            positions[event.joint] = event.position;
+            follow(positions);
+        }, {granularity: granularity});
+        mirror.event.trigger('changed');
+        var ready = [relax ? leader.relax() : null];
+        if (typeof options.speed === 'number') {
+            ready = ready.concat(channels.map(function(channel) {
+                var speeds = {};
+                for (var joint in channel.mapping) {
+                    if (channel.mapping.hasOwnProperty(joint)) {
+                        speeds[channel.mapping[joint].joint] = options.speed;
+                    }
+                }
+                return channel.bot.setSpeeds(speeds);
+            }));
+        }
+        return Promise.all(ready).then(function() {
+            return leader.wheelPositions();
+        }).then(function(angles) {
+            var positions = {};
+            angles.values.forEach(function(angle, j) {
+                positions[j + 1] = angle;
+            });
+            if (dispose !== null) {
+                follow(positions);
+            }
+        });
+    };
+
+    // Stop mirroring. The followers finish their current moves.
+    mirror.stop = function() {
+        if (dispose !== null) {
+            dispose();
+            dispose = null;
+            channels.forEach(function(channel) {
+                channel.cancel();
+            });
+            channels = [];
+            mirror.event.trigger('changed');
+        }
+    };
+}
+
+module.exports.Mirror = Mirror;
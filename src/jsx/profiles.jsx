@@ -0,0 +1,87 @@
+"use strict";
+
+var config = require('./config.jsx');
+var errors = require('./errors.jsx');
+var roster = require('./roster.jsx');
+
+// Roster profiles: named rosters, e.g. one for each class taught in a lab,
+// which can be swapped in and out of the robot manager. Switching to a
+// profile first saves the roster into the profile in use, if any, so that
+// changes made to it meanwhile aren't lost.
+
+// The configuration keys under which the profiles are saved, as a map of name
+// to entries, and the name of the profile in use.
+var CONFIG_KEY = 'rosterProfiles';
+var ACTIVE_KEY = 'rosterProfile';
+
+function savedProfiles () {
+    var profiles = config.get(CONFIG_KEY);
+    var copy = {};
+    for (var name in profiles) {
+        if (profiles.hasOwnProperty(name)) {
+            copy[name] = profiles[name];
+        }
+    }
+    return copy;
+}
+
+function checkName (name) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw errors.localError('INVALID_ARGUMENT', 'a roster profile needs a name');
+    }
+    return name.trim();
+}
+
+// The names of the saved profiles.
+function names () {
+    return Object.keys(savedProfiles()).sort();
+}
+
+// The name of the profile in use, or null if there is none.
+function active () {
+    var name = config.get(ACTIVE_KEY);
+    return typeof name === 'string' && savedProfiles().hasOwnProperty(name) ? name : null;
+}
+
+// Save the roster as a profile, replacing any profile of that name, and use
+// it from now on. Returns false if the configuration couldn't be written.
+function save (name) {
+    name = checkName(name);
+    var profiles = savedProfiles();
+    profiles[name] = roster.entries();
+    return config.set(CONFIG_KEY, profiles) && config.set(ACTIVE_KEY, name);
+}
+
+// Switch to a profile, replacing the roster with its robots. Throws an
+// InvalidArgumentError if there is no such profile. Returns the roster's
+// diff.
+function use (name) {
+    name = checkName(name);
+    if (!savedProfiles().hasOwnProperty(name)) {
+        throw errors.localError('INVALID_ARGUMENT', 'there is no roster profile named ' + name);
+    }
+    var current = active();
+    if (current !== null && current !== name) {
+        save(current);
+    }
+    var changes = roster.replace(savedProfiles()[name]);
+    config.set(ACTIVE_KEY, name);
+    return changes;
+}
+
+// Forget a profile. The roster is left as it is. Returns false if the
+// configuration couldn't be written.
+function remove (name) {
+    var profiles = savedProfiles();
+    delete profiles[name];
+    if (config.get(ACTIVE_KEY) === name) {
+        config.set(ACTIVE_KEY, null);
+    }
+    return config.set(CONFIG_KEY, profiles);
+}
+
+module.exports.names = names;
+module.exports.active = active;
+module.exports.save = save;
+module.exports.use = use;
+module.exports.remove = remove;
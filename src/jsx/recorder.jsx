@@ -0,0 +1,171 @@
+"use strict";
+
+var eventlib = require('./event.jsx');
+
+// The event types a Recorder records, and the fields of their samples.
+var RECORDED = {
+    accelerometer: ['x', 'y', 'z', 'magnitude'],
+    encoder: ['joint', 'position'],
+    joint: ['joint', 'state'],
+    button: ['button'],
+    buttonUp: ['button', 'duration']
+};
+
+// Columns of the CSV export: those common to every sample, then the union of
+// the fields of each type of sample.
+var COLUMNS = ['time', 'robot', 'type', 'timestamp', 'joint', 'position', 'state',
+               'button', 'duration', 'x', 'y', 'z', 'magnitude'];
+
+var DEFAULT_DURATION = 60000;
+var DEFAULT_GRANULARITY = 1.0;
+
+// A Recorder subscribes to the sensor streams of robots and keeps their
+// events as timestamped samples, for as long as it is recording. Samples
+// older than the recorder's duration are dropped as new ones arrive. Options:
+//   duration: milliseconds of samples to keep (default one minute).
+//   types: the event types to record (default all of RECORDED).
+//   granularity: the encoder granularity, in degrees (default 1).
+// Each sample has the host's time in milliseconds when it arrived, the
+// robot's ID, the event type, the robot's timestamp, and that type's fields.
+//   var recorder = new Recorder({duration: 30000});
+//   recorder.add(bot);
+//   recorder.start();
+//   ...
+//   recorder.stop();
+//   var csv = recorder.exportCSV();
+module.exports.Recorder = function Recorder(options) {
+    var recorder = this;
+    options = options || {};
+    var duration = typeof options.duration === 'number' ? options.duration : DEFAULT_DURATION;
+    var types = options.types || Object.keys(RECORDED);
+    var granularity = typeof options.granularity === 'number' ? options.granularity : DEFAULT_GRANULARITY;
+    var robots = [];
+    // Map of robot ID to the disposers of its subscriptions.
+    var subscriptions = {};
+    var recording = false;
+    // The ring buffer: samples are appended to buffer, and first is the index
+    // of the oldest still kept.
+    var buffer = [];
+    var first = 0;
+
+    function prune(now) {
+        while (first < buffer.length && buffer[first].time < now - duration) {
+            first++;
+        }
+        // Reclaim the space of dropped samples once they make up half the
+        // buffer.
+        if (first > 0 && first * 2 >= buffer.length) {
+            buffer = buffer.slice(first);
+            first = 0;
+        }
+    }
+
+    function record(type, event) {
+        var now = Date.now();
+        var sample = {
+            time: now,
+            robot: event.robot.id,
+            type: type,
+            timestamp: event.timestamp
+        };
+        RECORDED[type].forEach(function(field) {
+            sample[field] = event[field];
+        });
+        buffer.push(sample);
+        prune(now);
+        recorder.event.trigger('sample', sample);
+    }
+
+    function subscribe(bot) {
+        subscriptions[bot.id] = types.map(function(type) {
+            return bot.on(type, function(event) {
+                record(type, event);
+            }, type === 'encoder' ? {granularity: granularity} : {});
+        });
+    }
+
+    function unsubscribe(bot) {
+        (subscriptions[bot.id] || []).forEach(function(dispose) {
+            dispose();
+        });
+        delete subscriptions[bot.id];
+    }
+
+    recorder.event = eventlib.Events.extend({});
+
+    recorder.__defineGetter__("recording", function() {
+        return recording;
+    });
+    recorder.__defineGetter__("robots", function() {
+        return robots.slice();
+    });
+    recorder.__defineGetter__("length", function() {
+        return buffer.length - first;
+    });
+
+    // Record a robot too. Its streams are subscribed to while recording.
+    recorder.add = function(bot) {
+        if (robots.indexOf(bot) < 0) {
+            robots.push(bot);
+            if (recording) {
+                subscribe(bot);
+            }
+        }
+    };
+
+    recorder.remove = function(bot) {
+        var i = robots.indexOf(bot);
+        if (i >= 0) {
+            robots.splice(i, 1);
+            unsubscribe(bot);
+        }
+    };
+
+    recorder.start = function() {
+        if (!recording) {
+            recording = true;
+            robots.forEach(subscribe);
+            recorder.event.trigger('changed');
+        }
+    };
+
+    recorder.stop = function() {
+        if (recording) {
+            recording = false;
+            robots.forEach(unsubscribe);
+            recorder.event.trigger('changed');
+        }
+    };
+
+    recorder.clear = function() {
+        buffer = [];
+        first = 0;
+        recorder.event.trigger('changed');
+    };
+
+    // The samples kept, oldest first.
+    recorder.samples = function() {
+        return buffer.slice(first);
+    };
+
+    recorder.exportJSON = function() {
+        return JSON.stringify(recorder.samples());
+    };
+
+    recorder.exportCSV = function() {
+        var lines = [COLUMNS.join(',')];
+        recorder.samples().forEach(function(sample) {
+            lines.push(COLUMNS.map(function(column) {
+                var value = sample[column];
+                if (value === null || typeof value === 'undefined') {
+                    return '';
+                }
+                value = String(value);
+                return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+            }).join(','));
+        });
+        return lines.join('\n') + '\n';
+    };
+};
+
+module.exports.RECORDED = RECORDED;
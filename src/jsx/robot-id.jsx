@@ -0,0 +1,69 @@
+"use strict";
+
+var roster = require('./roster.jsx');
+
+// Linkbot IDs are four characters long, and made of consonants and the digits
+// 1 to 9, so that no ID spells a word or mixes up O and 0. Validating an ID
+// gives the reasons it can't be added, each {reason, message}, the reason
+// being one of:
+//   'length': it isn't four characters long.
+//   'characters': it has a vowel, a zero, or something other than a letter or
+//                 digit.
+//   'duplicate': it was given earlier in the same list.
+//   'in-roster': the robot is in the robot manager already.
+
+var LENGTH = 4;
+
+function reason (name, message) {
+    return {reason: name, message: message};
+}
+
+// Whether an ID looks like a Linkbot ID, whether or not it is in the roster.
+function isValid (id) {
+    return typeof id === 'string' && id.length === LENGTH && /^[b-df-hj-np-tv-z1-9]+$/i.test(id);
+}
+
+// Validate an ID someone wants to add. The seen option is a list of the IDs
+// given before it in the same list, if any. Returns {id, valid, reasons},
+// the ID being upper-cased and trimmed.
+function validate (id, options) {
+    options = options || {};
+    id = typeof id === 'string' ? id.trim().toUpperCase() : '';
+    var reasons = [];
+    if (id.length !== LENGTH) {
+        reasons.push(reason('length', 'a Linkbot ID has ' + LENGTH + ' characters, not ' + id.length));
+    }
+    var bad = id.match(/[^B-DF-HJ-NP-TV-Z1-9]/g);
+    if (bad) {
+        reasons.push(reason('characters', 'a Linkbot ID has no vowels, zeros or symbols, but this has ' + bad.join(' ')));
+    }
+    if (options.seen && options.seen.map(function(other) {
+        return String(other).trim().toUpperCase();
+    }).indexOf(id) >= 0) {
+        reasons.push(reason('duplicate', id + ' is given more than once'));
+    } else if (reasons.length === 0 && roster.get(id)) {
+        reasons.push(reason('in-roster', id + ' is already in the robot manager'));
+    }
+    return {id: id, valid: reasons.length === 0, reasons: reasons};
+}
+
+// Validate a list of IDs, e.g. as typed into the robot manager. Returns the
+// result of validate() for each.
+function validateAll (ids) {
+    return ids.map(function(id, i) {
+        return validate(id, {seen: ids.slice(0, i)});
+    });
+}
+
+// A description of why an ID can't be added, e.g. for an error console.
+function describe (result) {
+    return 'Cannot add "' + result.id + '": ' + result.reasons.map(function(r) {
+        return r.message;
+    }).join('; ');
+}
+
+module.exports.LENGTH = LENGTH;
+module.exports.isValid = isValid;
+module.exports.validate = validate;
+module.exports.validateAll = validateAll;
+module.exports.describe = describe;
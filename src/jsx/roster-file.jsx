@@ -0,0 +1,100 @@
+"use strict";
+
+var errors = require('./errors.jsx');
+var robotId = require('./robot-id.jsx');
+
+// Roster files, for moving the robot manager's list from one machine to
+// another. A roster is exported as JSON, with each robot's metadata:
+//   {"format": "linkbot-roster", "version": 1,
+//    "robots": [{"id": "ZRG6", "meta": {"nickname": "Team Red", ...}}, ...]}
+// and imported from that, from a JSON list of IDs, or from a plain list of
+// IDs separated by commas, semicolons, spaces or new lines, as a CSV file or
+// one typed by hand has them.
+
+var FORMAT = 'linkbot-roster';
+var VERSION = 1;
+
+function invalid (message) {
+    return errors.localError('INVALID_ARGUMENT', message);
+}
+
+// The JSON text of a roster's entries, [{id, meta}, ...].
+function format (entries) {
+    return JSON.stringify({
+        format: FORMAT,
+        version: VERSION,
+        robots: entries.map(function(entry) {
+            return {id: entry.id, meta: entry.meta};
+        })
+    }, null, 2);
+}
+
+// The items of a JSON roster: its robots, or the list itself.
+function jsonItems (text) {
+    var data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw invalid('the roster is not valid JSON: ' + e.message);
+    }
+    if (Array.isArray(data)) {
+        return data;
+    }
+    if (data && data.format === FORMAT && Array.isArray(data.robots)) {
+        if (data.version > VERSION) {
+            throw invalid('the roster was made by a newer version of LinkbotJS');
+        }
+        return data.robots;
+    }
+    throw invalid('the file is not a robot roster');
+}
+
+// The items of a plain list of IDs. A CSV header, 'id', is skipped.
+function textItems (text) {
+    return text.split(/[\s,;]+/).map(function(field) {
+        return field.replace(/^["']|["']$/g, '');
+    }).filter(function(field, i) {
+        return field.length > 0 && !(i === 0 && field.toLowerCase() === 'id');
+    });
+}
+
+// Read a roster file. Returns {entries, invalid}: the entries, {id, meta},
+// meta being undefined unless the file gave it, and the items which weren't
+// valid robots. IDs are checked as the robot manager's add form checks them,
+// so invalid items are its results, {id, valid, reasons}, as robot-id.jsx
+// gives them, the id being the item as text. Robots in the roster already
+// may be imported again, for their metadata. IDs are upper-cased, and
+// repeats dropped. Throws an InvalidArgumentError if the file is JSON but not
+// a roster.
+function parse (text) {
+    text = String(text).trim();
+    var items = /^[\[{]/.test(text) ? jsonItems(text) : textItems(text);
+    var entries = [];
+    var bad = [];
+    var seen = {};
+    items.forEach(function(item) {
+        var id = typeof item === 'string' ? item : item && item.id;
+        var result = robotId.validate(id);
+        var reasons = result.reasons.filter(function(r) {
+            return r.reason !== 'in-roster';
+        });
+        if (reasons.length > 0) {
+            bad.push({
+                id: typeof item === 'string' ? item : JSON.stringify(item),
+                valid: false,
+                reasons: reasons
+            });
+            return;
+        }
+        id = result.id;
+        if (!seen.hasOwnProperty(id)) {
+            seen[id] = true;
+            entries.push({id: id, meta: typeof item === 'string' ? undefined : item.meta});
+        }
+    });
+    return {entries: entries, invalid: bad};
+}
+
+module.exports.FORMAT = FORMAT;
+module.exports.format = format;
+module.exports.parse = parse;
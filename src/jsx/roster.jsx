@@ -0,0 +1,296 @@
+"use strict";
+
+var eventlib = require('./event.jsx');
+var config = require('./config.jsx');
+var storageLib = require('./storage.jsx');
+var errors = require('./errors.jsx');
+
+// The roster is the list of robots in the robot manager, in order, with each
+// robot's metadata, {nickname, notes, tags, color}, as described in
+// storage.jsx. It is the one source of truth for them: the bridge's
+// configuration ('robots', a list of IDs, which other programs read) and
+// storage.jsx (which also keeps the metadata) are only copies of it. Every
+// change is made by update(), and announced by a single 'roster-changed'
+// event with its diff:
+//   {added: ['DGKR'], removed: [], moved: ['ZRG6'], updated: [], roster: ['DGKR', 'ZRG6']}
+// updated lists the robots whose metadata changed.
+
+// The entries of the roster, {id, meta}, in order.
+var entries = [];
+
+var events = eventlib.Events.extend({});
+
+// A copy of an entry, with its metadata as storage.jsx's schema has it.
+function copyEntry (entry) {
+    return {id: entry.id, meta: storageLib.normalizeMeta(entry.meta)};
+}
+
+function ids (list) {
+    return list.map(function(entry) { return entry.id; });
+}
+
+// The longest common subsequence of two lists of IDs.
+function commonOrder (a, b) {
+    var lengths = [];
+    var i, j;
+    for (i = a.length; i >= 0; i--) {
+        lengths[i] = [];
+        for (j = b.length; j >= 0; j--) {
+            if (i === a.length || j === b.length) {
+                lengths[i][j] = 0;
+            } else if (a[i] === b[j]) {
+                lengths[i][j] = lengths[i + 1][j + 1] + 1;
+            } else {
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+    }
+    var common = [];
+    for (i = 0, j = 0; i < a.length && j < b.length; ) {
+        if (a[i] === b[j]) {
+            common.push(a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return common;
+}
+
+// The robots added to, removed from, moved within and updated in a roster.
+// The fewest robots which account for the new order are counted as moved,
+// e.g. only the one dragged to another place.
+function diff (before, after) {
+    var beforeIds = ids(before), afterIds = ids(after);
+    var kept = afterIds.filter(function(id) { return beforeIds.indexOf(id) >= 0; });
+    var keptBefore = beforeIds.filter(function(id) { return afterIds.indexOf(id) >= 0; });
+    var unmoved = commonOrder(keptBefore, kept);
+    return {
+        added: afterIds.filter(function(id) { return beforeIds.indexOf(id) < 0; }),
+        removed: beforeIds.filter(function(id) { return afterIds.indexOf(id) < 0; }),
+        moved: kept.filter(function(id) { return unmoved.indexOf(id) < 0; }),
+        updated: kept.filter(function(id) {
+            return JSON.stringify(before[beforeIds.indexOf(id)].meta)
+                !== JSON.stringify(after[afterIds.indexOf(id)].meta);
+        }),
+        roster: afterIds
+    };
+}
+
+function isEmpty (changes) {
+    return changes.added.length === 0 && changes.removed.length === 0
+        && changes.moved.length === 0 && changes.updated.length === 0;
+}
+
+function check (list) {
+    var seen = {};
+    list.forEach(function(entry) {
+        if (!entry || typeof entry.id !== 'string' || entry.id.length === 0) {
+            throw errors.localError('INVALID_ARGUMENT', 'a roster entry has no robot ID');
+        }
+        if (seen.hasOwnProperty(entry.id)) {
+            throw errors.localError('INVALID_ARGUMENT', entry.id + ' is in the roster twice');
+        }
+        seen[entry.id] = true;
+        entry.meta = storageLib.normalizeMeta(entry.meta);
+    });
+}
+
+// Report a copy of the roster which couldn't be written. It stays out of sync
+// with the roster until a later change is persisted, as each writes it all.
+function outOfSync (copy, cause) {
+    errors.report(errors.localError('STORAGE_FAILED', 'the robot list could not be saved to ' + copy
+        + (cause && cause.message ? ' (' + cause.message + ')' : '')
+        + ', which is out of sync with the robot manager until the list changes again'));
+}
+
+// Write the roster to the configuration and to storage.
+function persist () {
+    if (!config.set('robots', ids(entries))) {
+        outOfSync('the configuration');
+    }
+    storageLib.replaceAll(entries.map(function(entry) {
+        return {name: entry.id, meta: entry.meta};
+    }), function(success, error) {
+        if (!success) {
+            outOfSync('storage', error);
+        }
+    });
+}
+
+// Make a change to the roster, writing it to the copies if save is set.
+function commit (change, save) {
+    var draft = entries.map(copyEntry);
+    var result = change(draft);
+    if (Array.isArray(result)) {
+        draft = result;
+    }
+    check(draft);
+    var changes = diff(entries, draft);
+    entries = draft.map(copyEntry);
+    if (!isEmpty(changes)) {
+        if (save) {
+            persist();
+        }
+        events.trigger('roster-changed', changes);
+    }
+    return changes;
+}
+
+// Make a change to the roster. change(draft) is given a copy of the entries,
+// [{id, meta}, ...], which it may edit or replace by returning another list.
+// If it throws, or the result isn't a valid roster, nothing changes and the
+// error is thrown on. Otherwise, if anything changed, 'roster-changed' is
+// triggered and the roster persisted. The change stands even if a copy can't
+// be written; that is reported, as a STORAGE_FAILED error. Returns the diff.
+function update (change) {
+    return commit(change, true);
+}
+
+function indexOf (id) {
+    return ids(entries).indexOf(id);
+}
+
+// Load the roster, reconciling its copies: the configuration's list is
+// taken if it has robots, as it is written first; otherwise storage's is.
+// The metadata always comes from storage. If the two disagreed, a 'conflict'
+// event, {config, storage}, is triggered, and both are made to agree.
+// If storage can't be read, that is reported, and the configuration's list
+// is taken without writing either copy, so that storage isn't overwritten.
+// callback() is called once the roster is loaded. Robots added to the roster
+// in the meantime are kept.
+function load (callback) {
+    var fromConfig = config.get('robots');
+    storageLib.getAll(function(rows, error) {
+        var fromStorage = rows.map(function(row) { return row.name; });
+        var meta = {};
+        rows.forEach(function(row) {
+            meta[row.name] = row.meta;
+        });
+        var list = Array.isArray(fromConfig) && fromConfig.length > 0 ? fromConfig : fromStorage;
+        if (error) {
+            errors.report(errors.localError('STORAGE_FAILED', 'the robot list could not be read from storage'
+                + (error.message ? ' (' + error.message + ')' : '')));
+        }
+        var agreed = Array.isArray(fromConfig)
+            && JSON.stringify(fromConfig) === JSON.stringify(fromStorage);
+        if (!error && !agreed && (list.length > 0 || fromStorage.length > 0)) {
+            window.console.warn("The robot lists of the configuration and storage differ; using " + list.join(', '));
+            events.trigger('conflict', {config: fromConfig || [], storage: fromStorage});
+        }
+        var changes = commit(function(draft) {
+            // Robots added while loading are kept, after the others.
+            var loaded = list.map(function(id) {
+                return {id: id, meta: meta[id] || {}};
+            });
+            return loaded.concat(draft.filter(function(entry) {
+                return list.indexOf(entry.id) < 0;
+            }));
+        }, !error);
+        if (!error && !agreed && isEmpty(changes)) {
+            persist();
+        }
+        if (callback) {
+            callback();
+        }
+    });
+}
+
+module.exports.load = load;
+module.exports.update = update;
+module.exports.event = events;
+
+// The IDs of the robots in the roster, in order.
+module.exports.ids = function() {
+    return ids(entries);
+};
+
+// The roster's entries, {id, meta}, in order.
+module.exports.entries = function() {
+    return entries.map(copyEntry);
+};
+
+// The entry of a robot, or undefined if it isn't in the roster.
+module.exports.get = function(id) {
+    var i = indexOf(id);
+    return i >= 0 ? copyEntry(entries[i]) : undefined;
+};
+
+// Add a robot to the end of the roster, if it isn't there already.
+module.exports.add = function(id, meta) {
+    return update(function(draft) {
+        if (indexOf(id) < 0) {
+            draft.push({id: id, meta: meta || {}});
+        }
+    });
+};
+
+module.exports.remove = function(id) {
+    return update(function(draft) {
+        return draft.filter(function(entry) { return entry.id !== id; });
+    });
+};
+
+// Move the robot at one position to another, shifting those between.
+module.exports.move = function(from, to) {
+    return update(function(draft) {
+        if (from >= 0 && from < draft.length) {
+            draft.splice(to, 0, draft.splice(from, 1)[0]);
+        }
+    });
+};
+
+// Change some of a robot's metadata, e.g. setMeta('ZRG6', {nickname: 'Zed'}).
+module.exports.setMeta = function(id, meta) {
+    return update(function(draft) {
+        draft.forEach(function(entry) {
+            if (entry.id === id) {
+                for (var key in meta) {
+                    if (meta.hasOwnProperty(key)) {
+                        entry.meta[key] = meta[key];
+                    }
+                }
+            }
+        });
+    });
+};
+
+// The metadata an imported entry takes: its own, if it has any, or else
+// that of the robot in the roster.
+function importedMeta (entry, draft) {
+    if (entry.meta) {
+        return entry.meta;
+    }
+    var current = draft.filter(function(other) { return other.id === entry.id; })[0];
+    return current ? current.meta : {};
+}
+
+// Add the robots of a list of entries, {id, meta}, to the end of the roster,
+// as from roster-file.jsx. Robots already there keep their places, taking the
+// metadata of the list if it has any.
+module.exports.merge = function(list) {
+    return update(function(draft) {
+        list.forEach(function(entry) {
+            var meta = importedMeta(entry, draft);
+            var i = ids(draft).indexOf(entry.id);
+            if (i >= 0) {
+                draft[i].meta = meta;
+            } else {
+                draft.push({id: entry.id, meta: meta});
+            }
+        });
+    });
+};
+
+// Replace the roster with a list of entries, {id, meta}. Robots already in
+// the roster keep their metadata unless the list has some.
+module.exports.replace = function(list) {
+    return update(function(draft) {
+        return list.map(function(entry) {
+            return {id: entry.id, meta: importedMeta(entry, draft)};
+        });
+    });
+};
@@ -0,0 +1,180 @@
+"use strict";
+
+// Backends for storage.jsx. A backend keeps one document, the state of the
+// robot list, and has:
+//   name: e.g. 'indexeddb'.
+//   load(callback): calls callback(error, state), state being undefined if
+//                   nothing has been saved, or throws.
+//   save(state, callback): calls callback(error) once state is kept, or
+//                          throws.
+// States are plain JSON-able objects.
+
+var DBNAME = "robotsdb";
+var KEY = "robots";
+
+function memory () {
+    var kept;
+    return {
+        name: 'memory',
+        load: function(callback) {
+            setTimeout(function() {
+                callback(null, typeof kept === 'undefined' ? kept : JSON.parse(kept));
+            }, 0);
+        },
+        save: function(state, callback) {
+            kept = JSON.stringify(state);
+            setTimeout(function() {
+                callback(null);
+            }, 0);
+        }
+    };
+}
+
+// A localStorage backend, or null if localStorage is missing or unwritable,
+// as in some browsers' private modes.
+function localStorageBackend () {
+    var store;
+    var key = DBNAME + "." + KEY;
+    try {
+        store = window.localStorage;
+        store.setItem(key + ".test", "1");
+        store.removeItem(key + ".test");
+    } catch (e) {
+        return null;
+    }
+    if (!store) {
+        return null;
+    }
+    return {
+        name: 'localstorage',
+        load: function(callback) {
+            setTimeout(function() {
+                var state;
+                try {
+                    var text = store.getItem(key);
+                    state = text === null ? undefined : JSON.parse(text);
+                } catch (e) {
+                    callback(e);
+                    return;
+                }
+                callback(null, state);
+            }, 0);
+        },
+        save: function(state, callback) {
+            var error = null;
+            try {
+                store.setItem(key, JSON.stringify(state));
+            } catch (e) {
+                error = e;
+            }
+            setTimeout(function() {
+                callback(error);
+            }, 0);
+        }
+    };
+}
+
+// Open an IndexedDB backend, calling callback(error, backend) once. The error
+// is set if IndexedDB is missing or won't open, or if the open is blocked by
+// another tab holding an older version of the database.
+function openIndexedDB (callback) {
+    var request;
+    var settled = false;
+    function settle(error, backend) {
+        if (!settled) {
+            settled = true;
+            callback(error, backend);
+        }
+    }
+    try {
+        request = window.indexedDB.open(DBNAME, 1);
+    } catch (e) {
+        callback(e);
+        return;
+    }
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore(KEY);
+    };
+    request.onerror = function() {
+        settle(request.error || new Error('IndexedDB would not open'));
+    };
+    request.onblocked = function() {
+        settle(new Error('IndexedDB is blocked by another tab'));
+    };
+    request.onsuccess = function() {
+        var db = request.result;
+        if (settled) {
+            // Blocked, so another backend is in use by now.
+            db.close();
+            return;
+        }
+        var closed = null;
+        // Let another tab upgrade the database. It can't be used after that.
+        db.onversionchange = function() {
+            db.close();
+            closed = new Error('IndexedDB was closed for another tab to upgrade it');
+        };
+        settle(null, {
+            name: 'indexeddb',
+            load: function(done) {
+                if (closed) {
+                    throw closed;
+                }
+                var get = db.transaction(KEY, 'readonly').objectStore(KEY).get(KEY);
+                get.onsuccess = function() {
+                    done(null, get.result);
+                };
+                get.onerror = function() {
+                    done(get.error);
+                };
+            },
+            save: function(state, done) {
+                if (closed) {
+                    throw closed;
+                }
+                var tx = db.transaction(KEY, 'readwrite');
+                tx.objectStore(KEY).put(state, KEY);
+                tx.oncomplete = function() {
+                    done(null);
+                };
+                tx.onerror = tx.onabort = function() {
+                    done(tx.error || new Error('the IndexedDB transaction failed'));
+                };
+            }
+        });
+    };
+}
+
+// Read the robots kept by older versions of LinkbotJS in WebSQL, calling
+// callback(rows), rows being [] if there are none or WebSQL is missing. Rows
+// are {id, name, status, order}.
+function readWebSQL (callback) {
+    var db;
+    try {
+        db = window.openDatabase(DBNAME, 1.0, "Robots Database, used for persistance", undefined);
+    } catch (e) {
+        callback([]);
+        return;
+    }
+    var rows = null;
+    db.readTransaction(function(tx) {
+        tx.executeSql("SELECT * FROM " + KEY + " ORDER BY rorder", [],
+            function(tx, result) {
+                rows = [];
+                for (var i = 0; i < result.rows.length; i++) {
+                    var row = result.rows.item(i);
+                    rows.push({id: row.id, name: row.name, status: row.status, order: row.rorder});
+                }
+            });
+    }, function() {
+        // Most likely there is no table, as nothing was ever kept.
+        callback([]);
+    }, function() {
+        callback(rows || []);
+    });
+}
+
+module.exports.memory = memory;
+module.exports.localStorage = localStorageBackend;
+module.exports.openIndexedDB = openIndexedDB;
+module.exports.readWebSQL = readWebSQL;
@@ -1,174 +1,274 @@
-var settings = {
-    DBNAME: "robotsdb",
-    DBVER: 1.0,
-    DBDESC: "Robots Database, used for persistance",
-    TABLE: "robots"
+"use strict";
+
+var backends = require('./storage-backends.jsx');
+
+// The robot list is kept by the first of these backends which works:
+// IndexedDB, localStorage, or failing those memory, which lasts only as long
+// as the page. Robots kept in WebSQL by older versions are copied over the
+// first time. The list is kept as one document,
+//   {version: 2, nextId: 3, rows: [{id: 1, name: 'ZRG6', status: 0, order: 0, meta: {...}}, ...]}
+// and each operation loads it, changes it and saves it, one at a time.
+// Version 1 documents, whose metadata was free-form, are upgraded on loading.
+
+var STATE_VERSION = 2;
+
+// The metadata kept for each robot, with its defaults:
+//   nickname: a label to show instead of the ID, e.g. 'Team Red - table 3'.
+//   notes: free text, e.g. 'joint 2 sticky'.
+//   tags: the groups the robot belongs to, e.g. ['red', 'table3'].
+//   color: the LED colour set when the robot connects, as '#rrggbb', or null.
+var META_DEFAULTS = {
+    nickname: '',
+    notes: '',
+    tags: [],
+    color: null
 };
-var db = null;
-try {
-    db = openDatabase(settings.DBNAME, settings.DBVER, settings.DBDESC, settings.DBSIZE);
-} catch(e) {
-    db = null;
-    // TODO implement alternative storage engines.
-    module.exports.remove = function() {
-        window.console.log('OpenDatabase not available');
-    };
-    module.exports.add = function() {
-        window.console.log('OpenDatabase not available');
-    };
-    module.exports.getAll = function() {
-        window.console.log('OpenDatabase not available');
-    };
-    module.exports.updateOrder = function() {
-        window.console.log('OpenDatabase not available');
-    };
-    module.exports.changePosition = function() {
-        window.console.log('OpenDatabase not available');
+
+// Metadata as the schema has it: missing fields get their defaults, and
+// fields of the wrong type or unknown to the schema are dropped.
+function normalizeMeta (meta) {
+    meta = meta || {};
+    var tags = Array.isArray(meta.tags) ? meta.tags : [];
+    return {
+        nickname: typeof meta.nickname === 'string' ? meta.nickname : META_DEFAULTS.nickname,
+        notes: typeof meta.notes === 'string' ? meta.notes : META_DEFAULTS.notes,
+        tags: tags.filter(function(tag, i) {
+            return typeof tag === 'string' && tag.length > 0 && tags.indexOf(tag) === i;
+        }),
+        color: typeof meta.color === 'string' && /^#[0-9a-f]{6}$/i.test(meta.color)
+               ? meta.color.toLowerCase() : META_DEFAULTS.color
     };
 }
-if (db !== null) {
-    db.transaction(function(tx) {
-        tx.executeSql("CREATE TABLE IF NOT EXISTS " + settings.TABLE + " (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT unique not null, status INTEGER not null, rorder INTEGER not null)",
-            [],
-            function(tx, results) {
-            },
-            function(tx, error) {
-                console.log(error);
-            }
-        );
+
+function upgrade (state) {
+    if (state.version < 2) {
+        state.rows.forEach(function(row) {
+            row.meta = normalizeMeta(row.meta);
+        });
+        state.version = 2;
+    }
+    return state;
+}
+
+var backend = null;
+// Operations waiting for the backend to be chosen, or for the one before
+// them to finish.
+var queue = [];
+var busy = false;
+
+function emptyState () {
+    return {version: STATE_VERSION, nextId: 1, rows: []};
+}
+
+function byOrder (a, b) {
+    return a.order - b.order;
+}
+
+// Load the state, calling callback(error, state, fresh). If nothing has been
+// kept yet, the state is made from WebSQL's rows, if any; it and upgraded
+// states are fresh, needing to be saved.
+function loadState (callback) {
+    backend.load(function(error, state) {
+        if (error) {
+            callback(error);
+        } else if (state) {
+            var version = state.version;
+            upgrade(state);
+            callback(null, state, state.version !== version);
+        } else {
+            backends.readWebSQL(function(rows) {
+                state = emptyState();
+                state.rows = rows;
+                rows.forEach(function(row) {
+                    row.meta = normalizeMeta();
+                    state.nextId = Math.max(state.nextId, row.id + 1);
+                });
+                callback(null, state, true);
+            });
+        }
     });
-    module.exports.remove = function(name, callback) {
-        db.transaction(function(tx) {
-            tx.executeSql("DELETE FROM " + settings.TABLE + " WHERE name = ?", [name],
-                function() {
-                    if (callback) {
-                        callback(true);
-                    }
-                },
-                function(tx, error) {
-                    if (callback) {
-                        callback(false, error);
-                    }
+}
+
+function next () {
+    if (busy || backend === null || queue.length === 0) {
+        return;
+    }
+    busy = true;
+    var operation = queue.shift();
+    var finished = false;
+    function finish(error, result) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        busy = false;
+        operation.done(error || null, result);
+        next();
+    }
+    // A backend may throw rather than call back, e.g. IndexedDB when its
+    // database was closed, and the operations after this one must still run.
+    try {
+        loadState(function(error, state, fresh) {
+            if (error) {
+                finish(error);
+                return;
+            }
+            var result;
+            try {
+                result = operation.change(state);
+            } catch (e) {
+                finish(e);
+                return;
+            }
+            if (operation.readOnly && !fresh) {
+                finish(null, result);
+                return;
+            }
+            try {
+                backend.save(state, function(error) {
+                    finish(error, result);
                 });
+            } catch (e) {
+                finish(e);
+            }
         });
-    };
-    module.exports.add = function(name, status, callback) {
-        db.transaction(function(tx) {
-            tx.executeSql("SELECT COUNT(*) AS c FROM " + settings.TABLE, [],
-                function(tx, countResult) {
-                    tx.executeSql("INSERT INTO " + settings.TABLE + " (name, status, rorder) values (?,?,?)", [name, status, countResult.rows.item(0).c],
-                        function(tx, insertResult) {
-                            if (callback) {
-                                callback(true);
-                            }
-                        },
-                        function(tx, insertError) {
-                            if (callback) {
-                                callback(false, insertError);
-                            }
-                        });
-                },
-                function(tx, error) {
-                    if (callback) {
-                        callback(false, error);
-                    }
-                });
+    } catch (e) {
+        finish(e);
+    }
+}
+
+// Queue an operation on the robot list. change(state) may edit the state,
+// which is then saved unless readOnly, and returns the operation's result,
+// or throws. done(error, result) is called once it is finished.
+function operate (change, done, readOnly) {
+    queue.push({change: change, done: done, readOnly: !!readOnly});
+    next();
+}
+
+// Use a backend, as described in storage-backends.jsx, from now on.
+function setBackend (newBackend) {
+    backend = newBackend;
+    next();
+}
+
+// The name of the backend in use, e.g. 'indexeddb', or null until one has
+// been chosen.
+function backendName () {
+    return backend === null ? null : backend.name;
+}
+
+backends.openIndexedDB(function(error, indexedDB) {
+    if (backend === null) {
+        setBackend(indexedDB || backends.localStorage() || backends.memory());
+    }
+});
+
+module.exports.remove = function(name, callback) {
+    operate(function(state) {
+        state.rows = state.rows.filter(function(row) {
+            return row.name !== name;
         });
-    };
-    module.exports.getAll = function(callback) {
-        db.transaction(function(tx) {
-            tx.executeSql("SELECT * FROM " + settings.TABLE + " ORDER BY rorder", [],
-                function(tx, result) {
-                    var rows = result.rows;
-                    var allRobots = [];
-                    for (var i = 0; i < result.rows.length; i++) {
-                        allRobots.push({ "id":rows.item(i).id, "name": rows.item(i).name, "status":rows.item(i).status, "order":rows.item(i).rorder});
-                    }
-                    if (callback) {
-                        callback(allRobots);
-                    }
-                },
-                function(tx, error) {
-                    if (callback) {
-                        callback([], error);
-                    }
-                });
+    }, function(error) {
+        if (callback) {
+            callback(!error, error);
+        }
+    });
+};
+
+module.exports.add = function(name, status, callback) {
+    operate(function(state) {
+        state.rows.forEach(function(row) {
+            if (row.name === name) {
+                throw new Error(name + ' is already stored');
+            }
         });
-    };
-    module.exports.updateOrder = function(callback) {
-        db.transaction(function(tx) {
-            tx.executeSql("SELECT id FROM " + settings.TABLE + " ORDER BY rorder", [],
-                function(tx, result) {
-                    var success = function(tx, results) {}; // do nothing
-                    var error = function(tx, error) {
-                        if (callback) {
-                            callback(false, results);
-                        }
-                    };
-                    for (var i = 0; i < result.rows.length; i++) {
-                        tx.executeSql("UPDATE " + settings.TABLE + " SET rorder = ? WHERE id = ?", [i, result.rows.item(i).id],
-                            success,
-                            error);
-                    }
-                    if (callback) {
-                        callback(true);
-                    }
-                },
-                function(tx, error) {
-                    if (callback) {
-                        callback(false, results);
-                    }
-                });
+        state.rows.push({id: state.nextId++, name: name, status: status, order: state.rows.length, meta: normalizeMeta()});
+    }, function(error) {
+        if (callback) {
+            callback(!error, error);
+        }
+    });
+};
+
+module.exports.getAll = function(callback) {
+    operate(function(state) {
+        return state.rows.slice().sort(byOrder).map(function(row) {
+            return {"id": row.id, "name": row.name, "status": row.status, "order": row.order, "meta": normalizeMeta(row.meta)};
         });
-    };
-    module.exports.changePosition = function(currentPosition, newPosition, callback) {
-        if (currentPosition === newPosition) {
-            return;
+    }, function(error, allRobots) {
+        if (callback) {
+            if (error) {
+                callback([], error);
+            } else {
+                callback(allRobots);
+            }
+        }
+    }, true);
+};
+
+// Number the robots' orders from zero again, closing any gaps.
+module.exports.updateOrder = function(callback) {
+    operate(function(state) {
+        state.rows.sort(byOrder).forEach(function(row, i) {
+            row.order = i;
+        });
+    }, function(error) {
+        if (callback) {
+            callback(!error, error);
         }
-        db.transaction(function(tx) {
-            var start = currentPosition;
-            var end = newPosition;
-            if (currentPosition > newPosition) {
-                start = newPosition;
-                end = currentPosition;
+    });
+};
+
+// Move the robot at one position to another, shifting those between.
+module.exports.changePosition = function(currentPosition, newPosition, callback) {
+    if (currentPosition === newPosition) {
+        return;
+    }
+    var start = Math.min(currentPosition, newPosition);
+    var end = Math.max(currentPosition, newPosition);
+    var modifier = currentPosition > newPosition ? 1 : -1;
+    operate(function(state) {
+        state.rows.forEach(function(row) {
+            if (row.order === currentPosition) {
+                row.order = newPosition;
+            } else if (row.order >= start && row.order <= end) {
+                row.order += modifier;
             }
-            tx.executeSql("SELECT * from " + settings.TABLE + " WHERE rorder BETWEEN ? and ? ORDER BY rorder", [start, end],
-                function(tx, result) {
-                    var i = 0;
-                    var _modifier = -1;
-                    var rows = result.rows;
-                    if (currentPosition > newPosition) {
-                        _modifier = 1;
-                    }
-                    var success = function(tx, results) {
-                        if (callback) {
-                            callback(true, results);
-                        }
-                    };
-                    var error = function(tx, error) {
-                        if (callback) {
-                            callback(false, results);
-                        }
-                    };
-                    for (i = 0; i < result.rows.length; i++) {
-                        var setorder = rows.item(i).rorder + _modifier;
-                        var setid = rows.item(i).id;
-                        if (rows.item(i).rorder == currentPosition) {
-                            setorder = newPosition;
-                        }
-                        tx.executeSql("UPDATE " + settings.TABLE + " SET rorder = ? WHERE id = ?", [setorder, setid],
-                            success,
-                            error);
-                    }
-                    if (callback) {
-                        callback(true);
-                    }
-                },
-                function(tx, error) {
-                    if (callback) {
-                        callback(false,error);
-                    }
-                });
         });
-    };
-}
\ No newline at end of file
+    }, function(error) {
+        if (callback) {
+            callback(!error, error);
+        }
+    });
+};
+
+// Replace every robot with those of a list, in order, each being
+// {name, meta}. Robots already kept keep their ids and statuses.
+module.exports.replaceAll = function(entries, callback) {
+    operate(function(state) {
+        var kept = {};
+        state.rows.forEach(function(row) {
+            kept[row.name] = row;
+        });
+        state.rows = entries.map(function(entry, i) {
+            var row = kept[entry.name];
+            return {
+                id: row ? row.id : state.nextId++,
+                name: entry.name,
+                status: row ? row.status : 0,
+                order: i,
+                meta: normalizeMeta(entry.meta)
+            };
+        });
+    }, function(error) {
+        if (callback) {
+            callback(!error, error);
+        }
+    });
+};
+
+module.exports.META_DEFAULTS = META_DEFAULTS;
+module.exports.normalizeMeta = normalizeMeta;
+module.exports.setBackend = setBackend;
+module.exports.backendName = backendName;
+module.exports.backends = backends;
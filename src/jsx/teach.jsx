@@ -0,0 +1,264 @@
+"use strict";
+
+var eventlib = require('./event.jsx');
+var errors = require('./errors.jsx');
+var config = require('./config.jsx');
+
+// Teach mode, or programming by demonstration: the robot's joints are relaxed
+// so that it can be posed by hand, and each press of button A captures its
+// joint angles as a waypoint. Played back, the robot moves through the
+// waypoints in turn. A waypoint is a map of joint, counting from 1, to angle:
+//   {1: 45, 2: -30}
+
+// The configuration key under which waypoint lists are saved, as a map of
+// name to list.
+var CONFIG_KEY = 'teachWaypoints';
+
+var DEFAULT_DWELL = 500;
+
+function invalid (message) {
+    return errors.localError('INVALID_ARGUMENT', message);
+}
+
+// Check a list of waypoints, and return a copy of it. Throws an
+// InvalidArgumentError if it isn't a list of waypoints.
+function checkWaypoints (waypoints) {
+    if (!Array.isArray(waypoints)) {
+        throw invalid('the waypoints are not a list');
+    }
+    return waypoints.map(function(waypoint, i) {
+        if (!waypoint || typeof waypoint !== 'object') {
+            throw invalid('waypoint ' + i + ' is not a map of joint to angle');
+        }
+        var copy = {};
+        Object.keys(waypoint).forEach(function(key) {
+            if (['1', '2', '3'].indexOf(key) < 0 || typeof waypoint[key] !== 'number') {
+                throw invalid('waypoint ' + i + ' has a bad joint angle: ' + key);
+            }
+            copy[key] = waypoint[key];
+        });
+        return copy;
+    });
+}
+
+function savedLists () {
+    var lists = config.get(CONFIG_KEY);
+    var copy = {};
+    for (var name in lists) {
+        if (lists.hasOwnProperty(name)) {
+            copy[name] = lists[name];
+        }
+    }
+    return copy;
+}
+
+// The names of the saved waypoint lists.
+function savedNames () {
+    return Object.keys(savedLists()).sort();
+}
+
+// Save a waypoint list under a name, replacing any list of that name. Returns
+// false if the configuration couldn't be written.
+function save (name, waypoints) {
+    var lists = savedLists();
+    lists[name] = checkWaypoints(waypoints);
+    return config.set(CONFIG_KEY, lists);
+}
+
+// The waypoint list saved under a name, or null if there is none.
+function load (name) {
+    var lists = savedLists();
+    return lists.hasOwnProperty(name) ? checkWaypoints(lists[name]) : null;
+}
+
+// Forget the waypoint list saved under a name. Returns false if the
+// configuration couldn't be written.
+function removeSaved (name) {
+    var lists = savedLists();
+    delete lists[name];
+    return config.set(CONFIG_KEY, lists);
+}
+
+// A TeachMode teaches a robot a list of waypoints, and plays them back.
+//   var teach = new TeachMode(bot);
+//   teach.start();        // relax the joints, and capture on button A
+//   ...
+//   teach.stop();
+//   teach.play({speed: 45, dwell: 1000}).then(function() { ... });
+function TeachMode (bot) {
+    var teach = this;
+    var waypoints = [];
+    var dispose = null;
+    var playing = false;
+    var finish = null;
+
+    teach.event = eventlib.Events.extend({});
+
+    teach.__defineGetter__("teaching", function() {
+        return dispose !== null;
+    });
+    teach.__defineGetter__("playing", function() {
+        return playing;
+    });
+    teach.__defineGetter__("waypoints", function() {
+        return checkWaypoints(waypoints);
+    });
+    teach.__defineGetter__("length", function() {
+        return waypoints.length;
+    });
+
+    function stopTeaching() {
+        if (dispose !== null) {
+            dispose();
+            dispose = null;
+            teach.event.trigger('changed');
+        }
+    }
+
+    // Relax the robot's joints, and capture a waypoint whenever button A is
+    // pressed, until stopped. Waypoints are added to those already taught.
+    teach.start = function() {
+        teach.stop();
+        dispose = bot.on('button', function() {
+            teach.capture().then(null, function() {
+                // Already reported by the request.
+            });
+        }, {button: bot.enums.Button.A});
+        teach.event.trigger('changed');
+        return bot.relax();
+    };
+
+    // Stop teaching, or playing back.
+    teach.stop = function() {
+        stopTeaching();
+        if (playing) {
+            finish();
+            bot.stop();
+        }
+    };
+
+    // Capture the robot's joint angles now as a waypoint. Resolves with the
+    // waypoint.
+    teach.capture = function() {
+        return bot.wheelPositions().then(function(angles) {
+            var waypoint = {};
+            (bot.joints || [1, 2, 3]).forEach(function(joint) {
+                waypoint[joint] = angles.values[joint - 1];
+            });
+            waypoints.push(waypoint);
+            teach.event.trigger('waypoint', waypoint);
+            teach.event.trigger('changed');
+            return waypoint;
+        });
+    };
+
+    teach.removeLast = function() {
+        waypoints.pop();
+        teach.event.trigger('changed');
+    };
+
+    teach.clear = function() {
+        waypoints = [];
+        teach.event.trigger('changed');
+    };
+
+    teach.setWaypoints = function(list) {
+        waypoints = checkWaypoints(list);
+        teach.event.trigger('changed');
+    };
+
+    // Move through the waypoints in turn. Options:
+    //   speed: the joints' speed, in degrees per second (default: as set).
+    //   dwell: milliseconds to pause at each waypoint (default 500).
+    // Resolves when playback ends, at the last waypoint or when stop() or the
+    // robot's stop() is called, and rejects if a motion fails.
+    teach.play = function(options) {
+        options = options || {};
+        var dwell = typeof options.dwell === 'number' ? options.dwell : DEFAULT_DWELL;
+        if (playing) {
+            return Promise.reject(invalid('the waypoints are already playing'));
+        }
+        stopTeaching();
+        var route = waypoints.slice();
+        return new Promise(function(resolve, reject) {
+            var index = 0;
+            var timer = null;
+            var disposeStop = bot.on('command', function(command) {
+                if (command.method === 'stop') {
+                    finish();
+                }
+            });
+            finish = function(error) {
+                if (!playing) {
+                    return;
+                }
+                clearTimeout(timer);
+                disposeStop();
+                playing = false;
+                teach.event.trigger('changed');
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            function next() {
+                if (!playing) {
+                    return;
+                }
+                if (index >= route.length) {
+                    finish();
+                    return;
+                }
+                bot.moveToWait(route[index++]).then(function() {
+                    if (playing && index < route.length) {
+                        timer = setTimeout(next, dwell);
+                    } else {
+                        finish();
+                    }
+                }, finish);
+            }
+
+            playing = true;
+            teach.event.trigger('changed');
+            if (typeof options.speed === 'number') {
+                var speeds = {};
+                route.forEach(function(waypoint) {
+                    for (var joint in waypoint) {
+                        if (waypoint.hasOwnProperty(joint)) {
+                            speeds[joint] = options.speed;
+                        }
+                    }
+                });
+                bot.setSpeeds(speeds).then(next, finish);
+            } else {
+                next();
+            }
+        });
+    };
+
+    // Save the waypoints under a name. Returns false if the configuration
+    // couldn't be written.
+    teach.save = function(name) {
+        return save(name, waypoints);
+    };
+
+    // Replace the waypoints with those saved under a name. Returns false if
+    // there are none.
+    teach.load = function(name) {
+        var list = load(name);
+        if (list === null) {
+            return false;
+        }
+        waypoints = list;
+        teach.event.trigger('changed');
+        return true;
+    };
+}
+
+module.exports.TeachMode = TeachMode;
+module.exports.checkWaypoints = checkWaypoints;
+module.exports.savedNames = savedNames;
+module.exports.save = save;
+module.exports.load = load;
+module.exports.removeSaved = removeSaved;
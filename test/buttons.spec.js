@@ -0,0 +1,117 @@
+describe("button gestures", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var bot, Button;
+    var seen;
+
+    beforeAll(function () {
+        return connectedRobot('BTN1', 'I').then(function (connected) {
+            bot = connected;
+            Button = bot.enums.Button;
+        });
+    });
+
+    beforeEach(function () {
+        seen = [];
+    });
+
+    afterEach(function () {
+        ['longPress', 'doubleClick', 'chord'].forEach(function (type) {
+            bot.off(type);
+        });
+    });
+
+    function after (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    function record (event) {
+        seen.push(event);
+    }
+
+    // Click a button the given number of times, each a short press with a
+    // short gap after it.
+    function click (button, times) {
+        if (times === 0) {
+            return Promise.resolve();
+        }
+        simulator.pressButton('BTN1', button, 30);
+        return after(100).then(function () {
+            return click(button, times - 1);
+        });
+    }
+
+    it("report a long press on release, once the button was held long enough", function () {
+        bot.on('longPress', record, {button: Button.A, duration: 300});
+        simulator.pressButton('BTN1', Button.A, 150);
+        return after(250).then(function () {
+            expect(seen.length).toBe(0);
+            simulator.pressButton('BTN1', Button.A, 400);
+            return after(350);
+        }).then(function () {
+            // Still held.
+            expect(seen.length).toBe(0);
+            return after(150);
+        }).then(function () {
+            expect(seen.length).toBe(1);
+            expect(seen[0].button).toBe(Button.A);
+            expect(seen[0].duration).not.toBeLessThan(300);
+        });
+    });
+
+    it("only report a long press of the button asked for", function () {
+        bot.on('longPress', record, {button: Button.B, duration: 100});
+        simulator.pressButton('BTN1', Button.A, 200);
+        return after(300).then(function () {
+            expect(seen.length).toBe(0);
+        });
+    });
+
+    it("report a double click once, even for a triple click", function () {
+        bot.on('doubleClick', record, {interval: 200});
+        return click(Button.A, 2).then(function () {
+            expect(seen.length).toBe(1);
+            expect(seen[0].gap).toBeLessThan(200);
+            return after(300);
+        }).then(function () {
+            seen = [];
+            return click(Button.B, 3);
+        }).then(function () {
+            expect(seen.length).toBe(1);
+            expect(seen[0].button).toBe(Button.B);
+        });
+    });
+
+    it("don't report clicks further apart than the interval as a double click", function () {
+        bot.on('doubleClick', record, {interval: 100});
+        simulator.pressButton('BTN1', Button.A, 30);
+        return after(250).then(function () {
+            return click(Button.A, 1);
+        }).then(function () {
+            expect(seen.length).toBe(0);
+        });
+    });
+
+    it("report chords of held buttons", function () {
+        var both = [];
+        bot.on('chord', record);
+        bot.on('chord', function (event) {
+            both.push(event);
+        }, {buttons: [Button.B, Button.A]});
+        simulator.pressButton('BTN1', Button.A, 300);
+        return after(50).then(function () {
+            simulator.pressButton('BTN1', Button.B, 50);
+            return after(100);
+        }).then(function () {
+            simulator.pressButton('BTN1', Button.POWER, 50);
+            return after(250);
+        }).then(function () {
+            expect(seen.map(function (event) {
+                return event.buttons;
+            })).toEqual([[Button.A, Button.B], [Button.POWER, Button.A]]);
+            expect(both.length).toBe(1);
+            expect(both[0].button).toBe(Button.B);
+        });
+    });
+});
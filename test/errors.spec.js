@@ -0,0 +1,60 @@
+var errors = require('../src/jsx/errors.jsx');
+
+describe("errors", function () {
+    function bridgeError (category, code) {
+        return asyncBaroboBridge.simulator.bridgeError(category, code, 'simulated ' + code);
+    }
+
+    it("makes the class matching each bridge error", function () {
+        expect(errors.fromBridgeError(bridgeError('baromesh', 'DONGLE_NOT_FOUND')) instanceof errors.DongleError).toBe(true);
+        expect(errors.fromBridgeError(bridgeError('baromesh', 'ROBOT_OFFLINE')) instanceof errors.RobotOfflineError).toBe(true);
+        expect(errors.fromBridgeError(bridgeError('baromesh', 'INCOMPATIBLE_FIRMWARE')) instanceof errors.IncompatibleFirmwareError).toBe(true);
+        expect(errors.fromBridgeError(bridgeError('rpc', 'PROTOCOL_ERROR')) instanceof errors.RpcProtocolError).toBe(true);
+        expect(errors.fromBridgeError(bridgeError('rpc', 'INCONSISTENT_REPLY')) instanceof errors.RpcError).toBe(true);
+    });
+
+    it("makes subclasses of their parents, LinkbotError and Error", function () {
+        var error = errors.fromBridgeError(bridgeError('rpc', 'VERSION_MISMATCH'), 'ZRG6');
+        expect(error instanceof errors.RpcVersionMismatchError).toBe(true);
+        expect(error instanceof errors.RpcError).toBe(true);
+        expect(error instanceof errors.LinkbotError).toBe(true);
+        expect(error instanceof Error).toBe(true);
+        expect(error.name).toBe('RpcVersionMismatchError');
+    });
+
+    it("keeps the category, code and robot", function () {
+        var error = errors.fromBridgeError(bridgeError('baromesh', 'ROBOT_OFFLINE'), 'ZRG6');
+        expect(error.category).toBe('baromesh');
+        expect(error.codeName).toBe('ROBOT_OFFLINE');
+        expect(error.robotId).toBe('ZRG6');
+        expect(error.is('baromesh', 'ROBOT_OFFLINE')).toBe(true);
+        expect(error.is('rpc', 'ROBOT_OFFLINE')).toBe(false);
+        expect(error.toString()).toBe('Linkbot ZRG6: simulated ROBOT_OFFLINE [baromesh]');
+    });
+
+    it("falls back to LinkbotError for unknown categories", function () {
+        var error = errors.fromBridgeError({category: 'elsewhere', code: 9, message: 'odd'});
+        expect(error.constructor).toBe(errors.LinkbotError);
+        expect(error.codeName).toBe(null);
+        expect(error.robotId).toBe(null);
+    });
+
+    it("makes local errors", function () {
+        expect(errors.localError('TIMEOUT', 'slow') instanceof errors.TimeoutError).toBe(true);
+        expect(errors.localError('CANCELLED', 'stop') instanceof errors.CancelledError).toBe(true);
+        expect(errors.localError('NOT_CONNECTED', 'gone') instanceof errors.RobotOfflineError).toBe(true);
+        expect(errors.localError('INVALID_ARGUMENT', 'bad').is(errors.LOCAL_CATEGORY, 'INVALID_ARGUMENT')).toBe(true);
+    });
+
+    it("reports errors through the error event", function () {
+        var reported = [];
+        var listener = function (error) {
+            reported.push(error);
+        };
+        errors.event.on('error', listener);
+        errors.report(bridgeError('baromesh', 'STRANGE_DONGLE'));
+        errors.event.off('error', listener);
+        expect(reported.length).toBe(1);
+        expect(reported[0] instanceof errors.DongleError).toBe(true);
+    });
+});
@@ -0,0 +1,103 @@
+describe("robot events", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var bot;
+
+    beforeAll(function () {
+        return connectedRobot('VNT1', 'I').then(function (connected) {
+            bot = connected;
+        });
+    });
+
+    function after (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    function press (button) {
+        simulator.pressButton('VNT1', button, 20);
+        return after(100);
+    }
+
+    it("come again after the robot drops and reconnects", function () {
+        var presses = 0;
+        var dispose = bot.on('button', function () {
+            presses++;
+        });
+        return press(bot.enums.Button.A).then(function () {
+            expect(presses).toBe(1);
+            // The robot is switched off and on, forgetting which events it
+            // was sending, and the ping which finds it gone marks it offline.
+            simulator.addRobot('VNT1', {formFactor: 'I'});
+            return new Promise(function (resolve) {
+                bot.connect(resolve);
+            });
+        }).then(function () {
+            expect(bot.status).toBe('offline');
+            return new Promise(function (resolve) {
+                bot.connect(resolve);
+            });
+        }).then(function () {
+            expect(bot.status).toBe('ready');
+            return press(bot.enums.Button.A);
+        }).then(function () {
+            dispose();
+            expect(presses).toBe(2);
+        });
+    });
+
+    describe("subscriptions", function () {
+        function streaming (type) {
+            return simulator.robot('VNT1').events[type];
+        }
+
+        afterEach(function () {
+            bot.off('button');
+            bot.off('changed');
+        });
+
+        it("turn a stream on for the first listener and off after the last", function () {
+            var first = bot.on('button', function () {});
+            var second = bot.on('button', function () {});
+            return after(50).then(function () {
+                expect(streaming('button')).toBe(true);
+                first();
+                return after(50);
+            }).then(function () {
+                expect(streaming('button')).toBe(true);
+                second();
+                // Disposing twice does nothing.
+                second();
+                return after(50);
+            }).then(function () {
+                expect(streaming('button')).toBe(false);
+            });
+        });
+
+        it("are removed by handler, or all of a type at once", function () {
+            var heard = {a: 0, b: 0};
+            var a = function () {
+                heard.a++;
+            };
+            bot.on('changed', a);
+            bot.on('changed', function () {
+                heard.b++;
+            });
+            bot.event.trigger('changed');
+            bot.off('changed', a);
+            bot.event.trigger('changed');
+            bot.off('changed');
+            bot.event.trigger('changed');
+            expect(heard).toEqual({a: 1, b: 2});
+            // The robot manager's own listener is still there.
+            expect(bot.event.events.changed.length).toBeGreaterThan(0);
+        });
+
+        it("leave the robot's own waits be", function () {
+            var wait = bot.moveWait({1: 30});
+            bot.off('joint');
+            bot.off('changed');
+            return wait;
+        });
+    });
+});
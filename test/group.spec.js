@@ -0,0 +1,101 @@
+var errors = require('../src/jsx/errors.jsx');
+var LinkbotGroup = require('../src/jsx/group.jsx').LinkbotGroup;
+
+describe("a group of robots", function () {
+    var first, second, group;
+    var reported;
+    var onError = function (error) {
+        reported.push(error);
+    };
+
+    beforeAll(function () {
+        return Promise.all([connectedRobot('GRP1', 'I'), connectedRobot('GRP2', 'I')]).then(function (bots) {
+            first = bots[0];
+            second = bots[1];
+        });
+    });
+
+    beforeEach(function () {
+        group = new LinkbotGroup(['grp1', second]);
+        reported = [];
+        errors.event.on('error', onError);
+    });
+
+    afterEach(function () {
+        errors.event.off('error', onError);
+    });
+
+    afterAll(function () {
+        return new Promise(function (resolve) {
+            second.connect(resolve);
+        });
+    });
+
+    function after (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    it("is made of robots and the IDs of robots", function () {
+        expect(group.ids).toEqual(['GRP1', 'GRP2']);
+        group.add(first);
+        expect(group.length).toBe(2);
+        group.remove('GRP2');
+        expect(group.robots).toEqual([first]);
+        expect(function () {
+            group.add('NNNN');
+        }).toThrow();
+    });
+
+    it("combines its robots' results", function () {
+        return group.each(function (bot) {
+            return bot.getColor();
+        }).then(function (results) {
+            expect(Object.keys(results).sort()).toEqual(['GRP1', 'GRP2']);
+            expect(results.GRP1.red).toEqual(jasmine.any(Number));
+            return group.moveWait({1: 20});
+        }).then(function (results) {
+            expect(Object.keys(results).sort()).toEqual(['GRP1', 'GRP2']);
+            expect(jointAngle('GRP1', 1)).toBeCloseTo(jointAngle('GRP2', 1), 0);
+        });
+    });
+
+    describe("with a robot offline", function () {
+        beforeEach(function () {
+            second.disconnect();
+        });
+
+        it("fails with each robot's failure, once the others are done", function () {
+            var failures = [];
+            group.event.on('failure', function (failure) {
+                failures.push(failure);
+            });
+            return group.color(0, 255, 0).then(function () {
+                fail('the group succeeded');
+            }, function (error) {
+                expect(error instanceof errors.GroupError).toBe(true);
+                expect(Object.keys(error.results)).toEqual(['GRP1']);
+                expect(error.failures.GRP2 instanceof errors.RobotOfflineError).toBe(true);
+                expect(failures.length).toBe(1);
+                expect(failures[0].robot).toBe(second);
+                expect(failures[0].error).toBe(error.failures.GRP2);
+            });
+        });
+
+        it("reports each failure once when the caller ignores it", function () {
+            group.color(255, 0, 0);
+            group.each(function (bot) {
+                if (bot === first) {
+                    throw new Error('not this one');
+                }
+                return bot.getColor();
+            });
+            return after(100).then(function () {
+                expect(reported.map(function (error) {
+                    return error.message;
+                }).sort()).toEqual(['GRP2 is offline', 'not this one', 'the robot is not connected']);
+            });
+        });
+    });
+});
@@ -0,0 +1,54 @@
+// Load LinkbotJS in node as a page would, for the specs: JSX is compiled as it
+// is required, the document is just enough for the modules to load, and the
+// bridge is the simulator of src/js/barobo-bridge.js.
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var reactTools = require('react-tools');
+// React is loaded before there is a document, so that it doesn't take node
+// for a browser.
+require('react');
+
+require.extensions['.jsx'] = function (module, filename) {
+    module._compile(reactTools.transform(fs.readFileSync(filename, 'utf8')), filename);
+};
+
+function element () {
+    return {
+        style: {},
+        appendChild: function () {},
+        removeChild: function () {},
+        addEventListener: function () {},
+        removeEventListener: function () {}
+    };
+}
+
+global.window = global;
+global.document = element();
+global.document.title = 'LinkbotJS specs';
+global.document.body = element();
+global.document.documentElement = element();
+global.document.createElement = element;
+global.document.createTextNode = element;
+global.location = { host: 'localhost' };
+// The page's own listeners are kept, so that specs can unload the page.
+var pageListeners = {};
+global.addEventListener = function (type, listener) {
+    (pageListeners[type] = pageListeners[type] || []).push(listener);
+};
+global.unloadPage = function () {
+    (pageListeners.unload || []).forEach(function (listener) {
+        listener({type: 'unload'});
+    });
+};
+global.XMLHttpRequest = function () {
+    this.addEventListener = function () {};
+    this.open = function () {};
+    this.send = function () {};
+};
+
+var bridge = path.join(__dirname, '..', '..', 'src', 'js', 'barobo-bridge.js');
+vm.runInThisContext(fs.readFileSync(bridge, 'utf8'), bridge);
+global.asyncBaroboBridge = global.asyncBaroboBridge || this.asyncBaroboBridge;
+
+require('../../src/jsx/main.jsx');
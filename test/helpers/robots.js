@@ -0,0 +1,25 @@
+// Robots for the specs. Each spec uses its own robot IDs, as the simulator
+// and the robot manager are shared by all of them.
+var manager = require('../../src/jsx/manager.jsx');
+
+// A simulated robot, added to the robot manager and connected, with its form
+// factor known. Resolves with its AsyncLinkbot.
+global.connectedRobot = function (id, formFactor) {
+    asyncBaroboBridge.simulator.addRobot(id, {formFactor: formFactor || 'I'});
+    manager.addRobot(id);
+    var bot = manager.getRobot(id);
+    return new Promise(function (resolve) {
+        function check () {
+            if (bot.status === 'ready' && bot.formFactor) {
+                bot.event.off('changed', check);
+                resolve(bot);
+            }
+        }
+        bot.event.on('changed', check);
+    });
+};
+
+// The angle of a simulated robot's joint, counting from 1.
+global.jointAngle = function (id, joint) {
+    return asyncBaroboBridge.simulator.robot(id).joints[joint - 1].angle;
+};
@@ -0,0 +1,98 @@
+var kinematics = require('../src/jsx/kinematics.jsx');
+
+describe("kinematics", function () {
+    it("converts units", function () {
+        expect(kinematics.convert(1, 'in', 'cm')).toBeCloseTo(2.54, 10);
+        expect(kinematics.convert(2.54, 'cm', 'in')).toBeCloseTo(1, 10);
+        expect(kinematics.isUnit('cm')).toBe(true);
+        expect(kinematics.isUnit('furlong')).toBe(false);
+    });
+
+    it("turns distances into wheel angles and back", function () {
+        expect(kinematics.wheelDegrees(2 * Math.PI, 1)).toBeCloseTo(360, 10);
+        expect(kinematics.wheelDistance(kinematics.wheelDegrees(5, 1.75), 1.75)).toBeCloseTo(5, 10);
+    });
+
+    it("turns on the spot with the wheels rolling opposite ways", function () {
+        var distances = kinematics.arcDistances(0, 90, 4);
+        expect(distances.left).toBeCloseTo(-Math.PI, 10);
+        expect(distances.right).toBeCloseTo(Math.PI, 10);
+    });
+
+    it("drives arcs with the outer wheel rolling further", function () {
+        var left = kinematics.arcDistances(10, 90, 4);
+        var right = kinematics.arcDistances(10, -90, 4);
+        expect(left.right).toBeGreaterThan(left.left);
+        expect(right.left).toBeGreaterThan(right.right);
+        expect((left.left + left.right) / 2).toBeCloseTo(10 * Math.PI / 2, 10);
+    });
+
+    it("advances a pose straight ahead", function () {
+        var pose = kinematics.advance({x: 0, y: 0, heading: 0}, 5, 5, 4);
+        expect(pose.x).toBeCloseTo(5, 10);
+        expect(pose.y).toBeCloseTo(0, 10);
+        expect(pose.heading).toBeCloseTo(0, 10);
+    });
+
+    it("advances a pose around a quarter circle", function () {
+        // In small steps, as the wheels are sampled.
+        var distances = kinematics.arcDistances(10, 1, 4);
+        var pose = {x: 0, y: 0, heading: 0};
+        for (var i = 0; i < 90; i++) {
+            pose = kinematics.advance(pose, distances.left, distances.right, 4);
+        }
+        expect(pose.heading).toBeCloseTo(90, 10);
+        expect(pose.x).toBeCloseTo(10, 2);
+        expect(pose.y).toBeCloseTo(10, 2);
+    });
+
+    describe("driving a Linkbot-I", function () {
+        var bot;
+
+        beforeAll(function () {
+            return connectedRobot('KNM1', 'I').then(function (connected) {
+                bot = connected;
+            });
+        });
+
+        it("turns its wheels to drive a distance", function () {
+            var start = jointAngle('KNM1', 1);
+            var degrees = kinematics.wheelDegrees(kinematics.convert(3, 'cm', 'in'), 1.75);
+            return bot.driveDistance(3).then(function () {
+                expect(jointAngle('KNM1', 1) - start).toBeCloseTo(degrees, 5);
+            });
+        });
+
+        it("turns its wheels the same way to turn on the spot", function () {
+            var start = [jointAngle('KNM1', 1), jointAngle('KNM1', 3)];
+            return bot.turnLeft(30).then(function () {
+                var one = jointAngle('KNM1', 1) - start[0];
+                var three = jointAngle('KNM1', 3) - start[1];
+                expect(one).toBeLessThan(0);
+                expect(three).toBeCloseTo(one, 5);
+            });
+        });
+
+        it("drives for a time, then puts the wheels' speeds back", function () {
+            var start = jointAngle('KNM1', 1);
+            var degrees = kinematics.wheelDegrees(kinematics.convert(4, 'cm', 'in'), 1.75);
+            return bot.setSpeeds({1: 60, 3: 80}).then(function () {
+                return bot.driveTime(0.5, 8);
+            }).then(function () {
+                expect(jointAngle('KNM1', 1) - start).toBeCloseTo(degrees, 5);
+                return bot.getJointSpeeds();
+            }).then(function (speeds) {
+                expect(speeds[0]).toBeCloseTo(60, 5);
+                expect(speeds[2]).toBeCloseTo(80, 5);
+            });
+        });
+
+        it("rejects unknown units", function () {
+            return bot.driveDistance(3, 'furlong').then(function () {
+                fail('the robot drove');
+            }, function (error) {
+                expect(error.name).toBe('InvalidArgumentError');
+            });
+        });
+    });
+});
@@ -0,0 +1,99 @@
+var errors = require('../src/jsx/errors.jsx');
+var macro = require('../src/jsx/macro.jsx');
+
+describe("a macro script", function () {
+    function script (actions, extra) {
+        var result = {version: 1, duration: 1000, actions: actions};
+        for (var key in extra) {
+            if (extra.hasOwnProperty(key)) {
+                result[key] = extra[key];
+            }
+        }
+        return result;
+    }
+
+    function rejected (bad) {
+        var error = null;
+        try {
+            macro.parse(bad);
+        } catch (e) {
+            error = e;
+        }
+        expect(error instanceof errors.InvalidArgumentError).toBe(true);
+        return error && error.message;
+    }
+
+    it("is read from JSON, and runs at least until its last action", function () {
+        var parsed = macro.parse(JSON.stringify(script([
+            {time: 0, method: 'color', args: [0, 0, 255]},
+            {time: 1500, method: 'stop', args: []}
+        ])));
+        expect(parsed.actions.length).toBe(2);
+        expect(parsed.duration).toBe(1500);
+    });
+
+    it("is refused when malformed", function () {
+        expect(rejected('{"version": 1, ')).toBe('the macro is not valid JSON');
+        expect(rejected(null)).toContain('not a version 1 script');
+        expect(rejected(script([], {version: 2}))).toContain('not a version 1 script');
+        expect(rejected(script({}))).toContain('not a version 1 script');
+        expect(rejected(script([{time: 0, method: 'disconnect', args: []}])))
+            .toBe('action 0 of the macro has an unknown method: disconnect');
+        expect(rejected(script([{time: 0, method: 'stop'}]))).toBe('action 0 of the macro is malformed');
+        expect(rejected(script([
+            {time: 500, method: 'stop', args: []},
+            {time: 200, method: 'stop', args: []}
+        ]))).toBe('action 1 of the macro is malformed');
+        expect(rejected(script([{time: '0', method: 'stop', args: []}]))).toBe('action 0 of the macro is malformed');
+    });
+});
+
+describe("a recorded macro", function () {
+    var recorded, player;
+
+    beforeAll(function () {
+        return Promise.all([connectedRobot('MCR1', 'L'), connectedRobot('MCR2', 'L')]).then(function (bots) {
+            recorded = bots[0];
+            player = bots[1];
+        });
+    });
+
+    function after (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    it("plays back on another robot as it was recorded", function () {
+        var recorder = new macro.MacroRecorder();
+        var saved;
+        recorder.start(recorded);
+        expect(recorder.recording).toBe(true);
+        return after(50).then(function () {
+            recorded.color(0, 255, 0);
+            return after(100);
+        }).then(function () {
+            recorded.moveTo({1: 45});
+            return after(700);
+        }).then(function () {
+            saved = JSON.stringify(recorder.stop());
+            expect(recorder.recording).toBe(false);
+            var script = macro.parse(saved);
+            expect(script.actions.map(function (action) {
+                return action.method;
+            })).toEqual(['angularSpeed', 'color', 'moveTo']);
+            expect(script.actions[2].args).toEqual([{1: 45}]);
+            expect(script.actions[2].time).not.toBeLessThan(150);
+            expect(script.duration).not.toBeLessThan(850);
+            return new macro.MacroPlayer(saved, player, {speed: 2}).play();
+        }).then(function () {
+            // At double speed the move outlasts the macro.
+            return after(600);
+        }).then(function () {
+            expect(jointAngle('MCR2', 1)).toBeCloseTo(45, 0);
+            return player.getColor();
+        }).then(function (color) {
+            expect([color.red, color.green, color.blue]).toEqual([0, 255, 0]);
+        });
+    });
+});
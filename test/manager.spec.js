@@ -0,0 +1,192 @@
+var errors = require('../src/jsx/errors.jsx');
+var linkbot = require('../src/jsx/linkbot.jsx');
+var manager = require('../src/jsx/manager.jsx');
+
+describe("acquiring robots", function () {
+    var bot;
+    var reclaimed;
+    var onReclaimed = function (event) {
+        reclaimed.push(event.robot.id);
+    };
+
+    beforeAll(function () {
+        return connectedRobot('LSQ1', 'I').then(function (connected) {
+            bot = connected;
+        });
+    });
+
+    beforeEach(function () {
+        reclaimed = [];
+        manager.event.on('reclaimed', onReclaimed);
+    });
+
+    afterEach(function () {
+        manager.event.off('reclaimed', onReclaimed);
+        manager.relinquish(bot);
+    });
+
+    function after (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    it("holds robots until relinquished, unless given a lease", function () {
+        var acquisition = manager.acquire(1, {ids: ['LSQ1']});
+        expect(acquisition.robots).toEqual([bot]);
+        expect(acquisition.lease.expires).toBe(null);
+        return after(100).then(function () {
+            expect(bot.status).toBe('acquired');
+            expect(reclaimed).toEqual([]);
+        });
+    });
+
+    it("drops the program's subscriptions, not the manager's, when it reclaims a robot", function () {
+        var heard = {program: 0, encoder: 0, manager: 0};
+        manager.acquire(1, {ids: ['LSQ1'], lease: 50});
+        bot.on('command', function () {
+            heard.program++;
+        });
+        bot.on('encoder', function () {
+            heard.encoder++;
+        });
+        var dispose = linkbot.managerOwned(function () {
+            return bot.on('command', function () {
+                heard.manager++;
+            });
+        });
+        return after(100).then(function () {
+            expect(reclaimed).toEqual(['LSQ1']);
+            expect(bot.status).toBe('ready');
+            return bot.moveWait({1: 30});
+        }).then(function () {
+            dispose();
+            expect(heard.program).toBe(0);
+            expect(heard.encoder).toBe(0);
+            // The reclaim's stop.
+            expect(heard.manager).toBe(1);
+        });
+    });
+
+    it("ends a lease when its robot disconnects", function () {
+        manager.acquire(1, {ids: ['LSQ1'], lease: 50});
+        bot.disconnect();
+        return after(100).then(function () {
+            expect(reclaimed).toEqual([]);
+            return new Promise(function (resolve) {
+                bot.connect(resolve);
+            });
+        }).then(function () {
+            expect(bot.status).toBe('ready');
+        });
+    });
+
+    it("cancels acquisitions still waiting when the page unloads", function () {
+        var waits = [manager.acquireWait(1, {ids: ['NNNN']}), manager.acquireWait(2, {ids: ['NNNN']})];
+        unloadPage();
+        return Promise.all(waits.map(function (wait) {
+            return wait.then(function () {
+                fail('the acquisition was served');
+            }, function (error) {
+                expect(error instanceof errors.CancelledError).toBe(true);
+            });
+        }));
+    });
+});
+
+describe("a robot's colour", function () {
+    var simulator = asyncBaroboBridge.simulator;
+
+    beforeAll(function () {
+        return connectedRobot('CLR1', 'I');
+    });
+
+    afterEach(function () {
+        simulator.faults.clear();
+    });
+
+    it("reports a failure to set it once", function (done) {
+        var reported = [];
+        var listener = function (error) {
+            reported.push(error);
+        };
+        errors.event.on('error', listener);
+        simulator.faults.failRequest('setLedColor', 'rpc', 'VERSION_MISMATCH', {id: 'CLR1'});
+        manager.setRobotMeta('CLR1', {color: '#ff0000'});
+        setTimeout(function () {
+            errors.event.off('error', listener);
+            expect(reported.length).toBe(1);
+            done();
+        }, 100);
+    });
+});
+
+describe("waiting to acquire robots", function () {
+    var bots;
+
+    beforeAll(function () {
+        return Promise.all([
+            connectedRobot('WTQ1', 'I'),
+            connectedRobot('WTQ2', 'T'),
+            connectedRobot('WTQ3', 'T')
+        ]).then(function (connected) {
+            bots = connected;
+            manager.setRobotMeta('WTQ2', {tags: ['waiters']});
+            manager.setRobotMeta('WTQ3', {tags: ['waiters', 'spares']});
+        });
+    });
+
+    afterEach(function () {
+        bots.forEach(manager.relinquish);
+    });
+
+    function ids (acquisition) {
+        return acquisition.robots.map(function (bot) {
+            return bot.id;
+        }).sort();
+    }
+
+    function timedOut (wait) {
+        return wait.then(function () {
+            fail('the acquisition was served');
+        }, function (error) {
+            expect(error instanceof errors.TimeoutError).toBe(true);
+        });
+    }
+
+    it("acquires only the robots asked for", function () {
+        return Promise.all([
+            manager.acquireWait(2, {formFactor: 'T', tag: 'waiters'}),
+            manager.acquireWait(1, {ids: ['wtq1'], formFactor: ['L', 'I']})
+        ]).then(function (acquisitions) {
+            expect(ids(acquisitions[0])).toEqual(['WTQ2', 'WTQ3']);
+            expect(ids(acquisitions[1])).toEqual(['WTQ1']);
+            bots.forEach(manager.relinquish);
+            return manager.acquireWait(1, {tag: ['spares', 'extras']});
+        }).then(function (acquisition) {
+            expect(ids(acquisition)).toEqual(['WTQ3']);
+        });
+    });
+
+    it("fails once its timeout passes", function () {
+        var started = Date.now();
+        return timedOut(manager.acquireWait(1, {formFactor: 'L', tag: 'waiters', timeout: 150})).then(function () {
+            expect(Date.now() - started).not.toBeLessThan(140);
+        });
+    });
+
+    it("serves the oldest acquisitions first, keeping their robots from newer ones", function () {
+        manager.acquire(1, {ids: ['WTQ2']});
+        var older = manager.acquireWait(2, {tag: 'waiters'});
+        var newer = manager.acquireWait(1, {tag: 'spares', timeout: 150});
+        // WTQ3 is held for the older acquisition, though it can't have it yet.
+        expect(manager.acquire(1, {ids: ['WTQ3']}).robots).toEqual([]);
+        return timedOut(newer).then(function () {
+            expect(bots[2].status).toBe('ready');
+            manager.relinquish(bots[1]);
+            return older;
+        }).then(function (acquisition) {
+            expect(ids(acquisition)).toEqual(['WTQ2', 'WTQ3']);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+var errors = require('../src/jsx/errors.jsx');
+var Mirror = require('../src/jsx/mirror.jsx').Mirror;
+
+describe("a mirror", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var leader, follower, wheeled;
+    var mirror;
+
+    beforeAll(function () {
+        return Promise.all([
+            connectedRobot('MRL1', 'L'),
+            connectedRobot('MRF1', 'L'),
+            connectedRobot('MRF2', 'I')
+        ]).then(function (bots) {
+            leader = bots[0];
+            follower = bots[1];
+            wheeled = bots[2];
+        });
+    });
+
+    afterEach(function () {
+        if (mirror) {
+            mirror.stop();
+        }
+        return Promise.all([leader.moveToWait({1: 0, 2: 0}), follower.moveToWait({1: 0, 2: 0})]);
+    });
+
+    function after (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    it("maps the leader's joints onto the follower's", function () {
+        mirror = new Mirror(leader, follower, {
+            joints: {1: {joint: 2, scale: 0.5, invert: true, offset: 10}, 2: 1}
+        });
+        return mirror.start().then(function () {
+            expect(mirror.running).toBe(true);
+            simulator.turnJoint('MRL1', 0, 40);
+            simulator.turnJoint('MRL1', 1, -25);
+            return after(1000);
+        }).then(function () {
+            expect(jointAngle('MRF1', 2)).toBeCloseTo(-10, 0);
+            expect(jointAngle('MRF1', 1)).toBeCloseTo(-25, 0);
+        });
+    });
+
+    it("coalesces positions reported between moves", function () {
+        mirror = new Mirror(leader, follower, {joints: {1: 1}, interval: 200});
+        return mirror.start().then(function () {
+            return after(300);
+        }).then(function () {
+            spyOn(follower, 'moveTo').and.callThrough();
+            var turns = Promise.resolve();
+            [10, 20, 30, 40, 50, 60].forEach(function (angle) {
+                turns = turns.then(function () {
+                    simulator.turnJoint('MRL1', 0, angle);
+                    return after(20);
+                });
+            });
+            return turns;
+        }).then(function () {
+            return after(800);
+        }).then(function () {
+            var calls = follower.moveTo.calls.allArgs();
+            expect(calls.length).toBeGreaterThan(0);
+            expect(calls.length).toBeLessThan(4);
+            expect(calls[calls.length - 1][0]).toEqual({1: 60});
+            expect(jointAngle('MRF1', 1)).toBeCloseTo(60, 0);
+        });
+    });
+
+    it("leaves the followers alone once stopped", function () {
+        mirror = new Mirror(leader, follower);
+        return mirror.start().then(function () {
+            mirror.stop();
+            expect(mirror.running).toBe(false);
+            simulator.turnJoint('MRL1', 0, 45);
+            return after(500);
+        }).then(function () {
+            expect(jointAngle('MRF1', 1)).toBeCloseTo(0, 0);
+            expect(simulator.robot('MRL1').events.encoder).toBe(false);
+        });
+    });
+
+    it("refuses to start once if a follower lacks a mapped joint", function () {
+        var reported = [];
+        var listener = function (error) {
+            reported.push(error);
+        };
+        errors.event.on('error', listener);
+        mirror = new Mirror(leader, [follower, wheeled], {joints: {1: 1, 2: 2}});
+        return mirror.start().then(function () {
+            fail('the mirror started');
+        }, function (error) {
+            expect(error instanceof errors.NoSuchJointError).toBe(true);
+            expect(mirror.running).toBe(false);
+            simulator.turnJoint('MRL1', 0, 30);
+            return after(300);
+        }).then(function () {
+            errors.event.off('error', listener);
+            expect(reported.length).toBe(1);
+            expect(reported[0].message).toContain('joint 2');
+        });
+    });
+});
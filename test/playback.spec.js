@@ -0,0 +1,36 @@
+var MacroPlayer = require('../src/jsx/macro.jsx').MacroPlayer;
+var TeachMode = require('../src/jsx/teach.jsx').TeachMode;
+
+describe("playback", function () {
+    var bot;
+
+    beforeAll(function () {
+        return connectedRobot('PLY1', 'L').then(function (connected) {
+            bot = connected;
+        });
+    });
+
+    it("stops a macro and a teach playback together when the robot is stopped", function () {
+        var teach = new TeachMode(bot);
+        teach.setWaypoints([{1: 300}, {1: -300}]);
+        var player = new MacroPlayer({
+            version: 1,
+            duration: 5000,
+            actions: [{time: 0, method: 'moveForward', args: []}]
+        }, bot);
+        var playing = [teach.play({dwell: 0}), player.play()];
+        var stopped = new Promise(function (resolve) {
+            setTimeout(function () {
+                bot.stop().then(resolve);
+            }, 200);
+        });
+        return Promise.all(playing.concat([stopped])).then(function () {
+            expect(teach.playing).toBe(false);
+            expect(player.playing).toBe(false);
+            var joints = asyncBaroboBridge.simulator.robot('PLY1').joints;
+            joints.forEach(function (joint) {
+                expect(joint.state).toBe(bot.enums.JointState.STOP);
+            });
+        });
+    });
+});
@@ -0,0 +1,100 @@
+var kinematics = require('../src/jsx/kinematics.jsx');
+
+describe("a robot's pose", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var bot;
+    var poses;
+    var record = function (pose) {
+        poses.push(pose);
+    };
+
+    beforeAll(function () {
+        return connectedRobot('PSN1', 'I').then(function (connected) {
+            bot = connected;
+        });
+    });
+
+    beforeEach(function () {
+        poses = [];
+        simulator.setAccelerometer('PSN1', 0, 0, 1);
+        bot.resetPose();
+    });
+
+    afterEach(function () {
+        bot.off('pose');
+        bot.off('encoder');
+    });
+
+    function after (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    // How far the wheels take the robot for the given wheel turn, in degrees.
+    function distance (degrees) {
+        return kinematics.wheelDistance(degrees, bot.wheelRadius);
+    }
+
+    it("follows the robot from its encoder events", function () {
+        bot.on('pose', record);
+        return after(100).then(function () {
+            return bot.driveWheels(90, 90);
+        }).then(function () {
+            expect(poses.length).toBeGreaterThan(0);
+            var last = poses[poses.length - 1];
+            expect(last.x).toBeCloseTo(distance(90), 1);
+            expect(last.y).toBeCloseTo(0, 1);
+            expect(last.heading).toBeCloseTo(0, 0);
+            expect(last.trusted).toBe(true);
+            expect(bot.pose.x).toBeCloseTo(last.x, 5);
+            // Turning on the spot turns it to the left.
+            return bot.driveWheels(-90, 90);
+        }).then(function () {
+            expect(bot.pose.x).toBeCloseTo(distance(90), 1);
+            expect(bot.pose.heading).toBeGreaterThan(0);
+        });
+    });
+
+    it("isn't tracked by encoder listeners alone", function () {
+        bot.on('encoder', function () {});
+        return bot.driveWheels(90, 90).then(function () {
+            expect(bot.pose.x).toBe(0);
+            bot.on('pose', record);
+            return after(100);
+        }).then(function () {
+            return bot.driveWheels(-90, -90);
+        }).then(function () {
+            expect(bot.pose.x).toBeCloseTo(-distance(90), 1);
+            bot.off('pose');
+            return bot.driveWheels(90, 90);
+        }).then(function () {
+            expect(bot.pose.x).toBeCloseTo(-distance(90), 1);
+        });
+    });
+
+    it("is no longer trusted once the robot is bumped", function () {
+        bot.on('pose', record);
+        simulator.setAccelerometer('PSN1', 0, 0, 2);
+        return after(300).then(function () {
+            simulator.setAccelerometer('PSN1', 0, 0, 1);
+            expect(bot.pose.trusted).toBe(false);
+            bot.resetPose();
+            expect(bot.pose.trusted).toBe(true);
+        });
+    });
+
+    it("is no longer trusted once the robot is tilted", function () {
+        bot.on('pose', record);
+        return after(300).then(function () {
+            expect(bot.pose.trusted).toBe(true);
+            simulator.setAccelerometer('PSN1', 1, 0, 0);
+            return after(300);
+        }).then(function () {
+            expect(bot.pose.trusted).toBe(false);
+            return bot.driveWheels(90, 90);
+        }).then(function () {
+            expect(poses[poses.length - 1].trusted).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+var profiles = require('../src/jsx/profiles.jsx');
+var roster = require('../src/jsx/roster.jsx');
+var errors = require('../src/jsx/errors.jsx');
+
+describe("roster profiles", function () {
+    function set (ids) {
+        return roster.update(function () {
+            return ids.map(function (id) {
+                return {id: id};
+            });
+        });
+    }
+
+    // The robots of the other specs are put back afterward.
+    var others;
+
+    beforeAll(function () {
+        others = roster.entries();
+    });
+
+    beforeEach(function () {
+        profiles.names().forEach(profiles.remove);
+        set([]);
+    });
+
+    afterAll(function () {
+        profiles.names().forEach(profiles.remove);
+        roster.update(function () {
+            return others;
+        });
+    });
+
+    it("switch the roster, keeping changes made to the one in use", function () {
+        set(['BCDF', 'DGKR']);
+        expect(profiles.save('morning')).toBe(true);
+        set(['HJKL']);
+        expect(profiles.save('afternoon')).toBe(true);
+        expect(profiles.names()).toEqual(['afternoon', 'morning']);
+        expect(profiles.active()).toBe('afternoon');
+
+        roster.add('MNPQ');
+        var changes = profiles.use('morning');
+        expect(changes.roster).toEqual(['BCDF', 'DGKR']);
+        expect(profiles.active()).toBe('morning');
+
+        expect(profiles.use('afternoon').roster).toEqual(['HJKL', 'MNPQ']);
+    });
+
+    it("refuse to switch to a profile which doesn't exist", function () {
+        set(['BCDF']);
+        profiles.save('morning');
+        var error;
+        try {
+            profiles.use('evening');
+        } catch (e) {
+            error = e;
+        }
+        expect(error instanceof errors.InvalidArgumentError).toBe(true);
+        expect(roster.ids()).toEqual(['BCDF']);
+        expect(profiles.active()).toBe('morning');
+        expect(function () {
+            profiles.save('  ');
+        }).toThrow();
+    });
+
+    it("can be removed, leaving the roster as it is", function () {
+        set(['BCDF']);
+        profiles.save('morning');
+        profiles.save('afternoon');
+        expect(profiles.remove('afternoon')).toBe(true);
+        expect(profiles.names()).toEqual(['morning']);
+        expect(profiles.active()).toBe(null);
+        expect(roster.ids()).toEqual(['BCDF']);
+        profiles.remove('morning');
+        expect(profiles.names()).toEqual([]);
+    });
+});
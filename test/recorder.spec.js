@@ -0,0 +1,112 @@
+var Recorder = require('../src/jsx/recorder.jsx').Recorder;
+
+describe("a recorder", function () {
+    // A stand-in robot, whose events the specs trigger themselves.
+    function fakeRobot (id) {
+        var robot = {id: id, handlers: {}};
+        robot.on = function (type, handler) {
+            robot.handlers[type] = handler;
+            return function () {
+                delete robot.handlers[type];
+            };
+        };
+        robot.emit = function (type, event) {
+            event.robot = robot;
+            robot.handlers[type](event);
+        };
+        return robot;
+    }
+
+    beforeEach(function () {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2015, 0, 1));
+    });
+
+    afterEach(function () {
+        jasmine.clock().uninstall();
+    });
+
+    it("records its robots' events while recording", function () {
+        var robot = fakeRobot('RCR1');
+        var recorder = new Recorder({types: ['button', 'encoder']});
+        recorder.add(robot);
+        expect(Object.keys(robot.handlers)).toEqual([]);
+        recorder.start();
+        expect(Object.keys(robot.handlers).sort()).toEqual(['button', 'encoder']);
+        robot.emit('encoder', {joint: 1, position: 45, difference: 5, timestamp: 10});
+        recorder.stop();
+        expect(robot.handlers).toEqual({});
+        expect(recorder.samples()).toEqual([{
+            time: Date.now(), robot: 'RCR1', type: 'encoder', timestamp: 10, joint: 1, position: 45
+        }]);
+    });
+
+    it("keeps only the samples within its duration", function () {
+        var robot = fakeRobot('RCR2');
+        var recorder = new Recorder({duration: 1000});
+        recorder.add(robot);
+        recorder.start();
+        for (var i = 0; i < 10; i++) {
+            robot.emit('button', {button: 1, timestamp: i});
+            jasmine.clock().tick(250);
+        }
+        // The latest, at 2250ms, keeps those of the second before it.
+        expect(recorder.length).toBe(5);
+        expect(recorder.samples().map(function (sample) {
+            return sample.timestamp;
+        })).toEqual([5, 6, 7, 8, 9]);
+        jasmine.clock().tick(5000);
+        robot.emit('button', {button: 2, timestamp: 10});
+        expect(recorder.length).toBe(1);
+        expect(recorder.samples()[0].button).toBe(2);
+        recorder.clear();
+        expect(recorder.samples()).toEqual([]);
+    });
+
+    describe("exports", function () {
+        var recorder;
+
+        beforeEach(function () {
+            var robot = fakeRobot('RCR3');
+            var odd = fakeRobot('say "hi",\nrobot');
+            recorder = new Recorder();
+            recorder.add(robot);
+            recorder.add(odd);
+            recorder.start();
+            robot.emit('joint', {joint: 2, state: 'HOLD', timestamp: 7});
+            odd.emit('buttonUp', {button: 1, duration: 300, timestamp: 8});
+            recorder.stop();
+        });
+
+        it("JSON, as the list of samples", function () {
+            expect(JSON.parse(recorder.exportJSON())).toEqual(recorder.samples());
+        });
+
+        it("CSV, with a column for each field, quoted where needed", function () {
+            var time = Date.now();
+            expect(recorder.exportCSV()).toBe(
+                'time,robot,type,timestamp,joint,position,state,button,duration,x,y,z,magnitude\n' +
+                time + ',RCR3,joint,7,2,,HOLD,,,,,,\n' +
+                time + ',"say ""hi"",\nrobot",buttonUp,8,,,,1,300,,,,\n');
+        });
+    });
+});
+
+describe("a recorder of a simulated robot", function () {
+    it("records its events", function () {
+        var recorder = new Recorder({types: ['button']});
+        return connectedRobot('RCR4', 'I').then(function (bot) {
+            recorder.add(bot);
+            recorder.start();
+            asyncBaroboBridge.simulator.pressButton('RCR4', bot.enums.Button.B, 20);
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 100);
+            });
+        }).then(function () {
+            recorder.stop();
+            expect(recorder.samples().map(function (sample) {
+                return [sample.robot, sample.type, sample.button];
+            })).toEqual([['RCR4', 'button', 2]]);
+        });
+    });
+});
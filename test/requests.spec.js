@@ -0,0 +1,128 @@
+var errors = require('../src/jsx/errors.jsx');
+var linkbot = require('../src/jsx/linkbot.jsx');
+
+describe("requests", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var bot;
+
+    beforeAll(function () {
+        return connectedRobot('RQS1').then(function (connected) {
+            bot = connected;
+        });
+    });
+
+    afterEach(function () {
+        simulator.faults.clear();
+    });
+
+    it("resolve with the bridge's result", function () {
+        return bot.getColor().then(function (color) {
+            expect(color).toEqual({red: 0, green: 255, blue: 0});
+        });
+    });
+
+    it("reject with the bridge's error", function () {
+        simulator.faults.failRequest('getLedColor', 'rpc', 'VERSION_MISMATCH', {id: 'RQS1'});
+        return bot.getColor().then(function () {
+            fail('the request succeeded');
+        }, function (error) {
+            expect(error instanceof errors.RpcVersionMismatchError).toBe(true);
+            expect(error.robotId).toBe('RQS1');
+        });
+    });
+
+    it("time out when the bridge never answers", function () {
+        simulator.faults.dropRequest('getLedColor', {id: 'RQS1'});
+        bot.requestTimeout = 50;
+        return bot.getColor().then(function () {
+            fail('the request succeeded');
+        }, function (error) {
+            expect(error instanceof errors.TimeoutError).toBe(true);
+        }).then(function () {
+            bot.requestTimeout = null;
+        });
+    });
+
+    it("are cancelled by a RequestController", function () {
+        var controller = new linkbot.RequestController();
+        var promise = linkbot.request(function () {}, {id: 'RQS1', timeout: 0, signal: controller.signal});
+        expect(linkbot.pendingRequests().RQS1.length).toBe(1);
+        controller.abort();
+        return promise.then(function () {
+            fail('the request succeeded');
+        }, function (error) {
+            expect(error instanceof errors.CancelledError).toBe(true);
+            expect(linkbot.pendingRequests().RQS1).toBeUndefined();
+        });
+    });
+
+    it("fail at once when cancelled beforehand", function () {
+        var controller = new linkbot.RequestController();
+        controller.abort();
+        return linkbot.request(function () {}, {signal: controller.signal}).then(function () {
+            fail('the request succeeded');
+        }, function (error) {
+            expect(error instanceof errors.CancelledError).toBe(true);
+        });
+    });
+
+    it("report failed commands, but not cancelled ones", function () {
+        var reported = [];
+        var listener = function (error) {
+            reported.push(error);
+        };
+        errors.event.on('error', listener);
+        var controller = new linkbot.RequestController();
+        var cancelled = linkbot.command(function () {}, {timeout: 0, signal: controller.signal});
+        var timedOut = linkbot.command(function () {}, {timeout: 20});
+        controller.abort();
+        var settled = function (promise) {
+            return promise.then(null, function () {});
+        };
+        return Promise.all([settled(cancelled), settled(timedOut)]).then(function () {
+            errors.event.off('error', listener);
+            expect(reported.length).toBe(1);
+            expect(reported[0] instanceof errors.TimeoutError).toBe(true);
+        });
+    });
+
+    describe("to an offline robot", function () {
+        it("are reported, and not left unhandled", function () {
+            var reported = [];
+            var listener = function (error) {
+                reported.push(error);
+            };
+            var offline = new linkbot.AsyncLinkbot('FFLN');
+            errors.event.on('error', listener);
+            offline.color(255, 0, 0);
+            offline.move(10, 0, 0);
+            offline.driveTo(10, 0, 10);
+            offline.zero();
+            offline.stop();
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 100);
+            }).then(function () {
+                errors.event.off('error', listener);
+                expect(reported.length).toBe(5);
+                reported.forEach(function (error) {
+                    expect(error instanceof errors.RobotOfflineError).toBe(true);
+                });
+            });
+        });
+
+        it("are refused before they reach the robot", function () {
+            var offline = new linkbot.AsyncLinkbot('FFLN');
+            var refused = [offline.color(0, 0, 255), offline.zero()];
+            expect(offline.pendingRequests()).toEqual([]);
+            return Promise.all(refused.map(function (promise) {
+                return promise.then(null, function (error) {
+                    return error;
+                });
+            })).then(function (results) {
+                results.forEach(function (error) {
+                    expect(error.message).toBe('the robot is not connected');
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,50 @@
+var robotId = require('../src/jsx/robot-id.jsx');
+var roster = require('../src/jsx/roster.jsx');
+
+describe("robot IDs", function () {
+    function reasons (result) {
+        return result.reasons.map(function (reason) {
+            return reason.reason;
+        });
+    }
+
+    afterEach(function () {
+        roster.remove('HJKL');
+    });
+
+    it("accept four consonants and digits", function () {
+        var result = robotId.validate(' zrg6 ');
+        expect(result.valid).toBe(true);
+        expect(result.id).toBe('ZRG6');
+        expect(robotId.isValid('DGKR')).toBe(true);
+    });
+
+    it("must be four characters long", function () {
+        expect(reasons(robotId.validate('ZRG'))).toEqual(['length']);
+        expect(reasons(robotId.validate('ZRG67'))).toEqual(['length']);
+        expect(reasons(robotId.validate(''))).toEqual(['length']);
+        expect(robotId.isValid('ZRG')).toBe(false);
+    });
+
+    it("have no vowels, zeros or symbols", function () {
+        expect(reasons(robotId.validate('ZRA6'))).toEqual(['characters']);
+        expect(reasons(robotId.validate('ZR06'))).toEqual(['characters']);
+        expect(reasons(robotId.validate('Z-R6'))).toEqual(['characters']);
+        expect(reasons(robotId.validate('ABC'))).toEqual(['length', 'characters']);
+    });
+
+    it("are duplicates when given twice in a list", function () {
+        var results = robotId.validateAll(['BCDF', 'bcdf', 'DGKR']);
+        expect(results.map(reasons)).toEqual([[], ['duplicate'], []]);
+    });
+
+    it("can't be added twice to the robot manager", function () {
+        roster.add('HJKL');
+        expect(reasons(robotId.validate('hjkl'))).toEqual(['in-roster']);
+    });
+
+    it("are described for the error console", function () {
+        expect(robotId.describe(robotId.validate('ZR06')))
+            .toBe('Cannot add "ZR06": a Linkbot ID has no vowels, zeros or symbols, but this has 0');
+    });
+});
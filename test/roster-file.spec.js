@@ -0,0 +1,36 @@
+var rosterFile = require('../src/jsx/roster-file.jsx');
+var robotId = require('../src/jsx/robot-id.jsx');
+
+describe("roster files", function () {
+    it("read a plain list of IDs, skipping a CSV header and repeats", function () {
+        var file = rosterFile.parse('id\nzrg6, DGKR;ZRG6 BCDF');
+        expect(file.entries.map(function (entry) {
+            return entry.id;
+        })).toEqual(['ZRG6', 'DGKR', 'BCDF']);
+        expect(file.invalid).toEqual([]);
+    });
+
+    it("reject the IDs the add form rejects, with its reasons", function () {
+        var file = rosterFile.parse('ZRG, ZRGXY, ZRA6, DGKR');
+        expect(file.entries.map(function (entry) {
+            return entry.id;
+        })).toEqual(['DGKR']);
+        expect(file.invalid.map(function (result) {
+            return result.id;
+        })).toEqual(['ZRG', 'ZRGXY', 'ZRA6']);
+        file.invalid.forEach(function (result) {
+            var added = robotId.validate(result.id);
+            expect(added.valid).toBe(false);
+            expect(result.reasons).toEqual(added.reasons);
+        });
+    });
+
+    it("round-trip an export, with its metadata", function () {
+        var text = rosterFile.format([{id: 'ZRG6', meta: {nickname: 'Zed'}}]);
+        var file = rosterFile.parse(text);
+        expect(file.entries).toEqual([{id: 'ZRG6', meta: {nickname: 'Zed'}}]);
+        expect(function () {
+            rosterFile.parse('{"robots": []}');
+        }).toThrow();
+    });
+});
@@ -0,0 +1,182 @@
+var roster = require('../src/jsx/roster.jsx');
+var config = require('../src/jsx/config.jsx');
+var storage = require('../src/jsx/storage.jsx');
+var errors = require('../src/jsx/errors.jsx');
+
+describe("the roster", function () {
+    function set (ids) {
+        return roster.update(function () {
+            return ids.map(function (id) {
+                return {id: id};
+            });
+        });
+    }
+
+    function stored () {
+        return new Promise(function (resolve) {
+            storage.getAll(function (rows) {
+                resolve(rows);
+            });
+        });
+    }
+
+    // The robots of the other specs are put back afterward.
+    var others;
+
+    beforeAll(function () {
+        others = roster.entries();
+    });
+
+    beforeEach(function () {
+        set([]);
+    });
+
+    afterAll(function () {
+        roster.update(function () {
+            return others;
+        });
+    });
+
+    it("reports robots added and removed", function () {
+        set(['BCDF', 'DGKR']);
+        var changes = set(['DGKR', 'HJKL']);
+        expect(changes.added).toEqual(['HJKL']);
+        expect(changes.removed).toEqual(['BCDF']);
+        expect(changes.moved).toEqual([]);
+        expect(changes.roster).toEqual(['DGKR', 'HJKL']);
+    });
+
+    it("counts only the dragged robot as moved", function () {
+        set(['BCDF', 'DGKR', 'HJKL', 'MNPQ']);
+        var changes = roster.move(3, 0);
+        expect(changes.moved).toEqual(['MNPQ']);
+        expect(roster.ids()).toEqual(['MNPQ', 'BCDF', 'DGKR', 'HJKL']);
+    });
+
+    it("reports robots whose metadata changed", function () {
+        set(['BCDF', 'DGKR']);
+        var changes = roster.setMeta('DGKR', {nickname: 'Dee'});
+        expect(changes.updated).toEqual(['DGKR']);
+        expect(roster.get('DGKR').meta.nickname).toBe('Dee');
+    });
+
+    it("triggers roster-changed only when something changed", function () {
+        var triggered = 0;
+        var listener = function () {
+            triggered++;
+        };
+        roster.event.on('roster-changed', listener);
+        set(['BCDF']);
+        set(['BCDF']);
+        roster.event.off('roster-changed', listener);
+        expect(triggered).toBe(1);
+    });
+
+    it("changes nothing when a change fails", function () {
+        set(['BCDF']);
+        expect(function () {
+            set(['DGKR', 'DGKR']);
+        }).toThrow();
+        expect(function () {
+            roster.update(function (draft) {
+                draft.push({id: 'HJKL'});
+                throw new Error('changed my mind');
+            });
+        }).toThrow();
+        expect(roster.ids()).toEqual(['BCDF']);
+    });
+
+    it("writes the configuration and storage", function () {
+        set(['BCDF', 'DGKR']);
+        roster.setMeta('BCDF', {tags: ['red']});
+        expect(config.get('robots')).toEqual(['BCDF', 'DGKR']);
+        return stored().then(function (rows) {
+            expect(rows.map(function (row) {
+                return row.name;
+            })).toEqual(['BCDF', 'DGKR']);
+            expect(rows[0].meta.tags).toEqual(['red']);
+        });
+    });
+
+    it("loads from storage when the configuration is empty", function () {
+        set(['BCDF', 'DGKR']);
+        roster.setMeta('DGKR', {nickname: 'Dee'});
+        return stored().then(function () {
+            config.set('robots', []);
+            return new Promise(function (resolve) {
+                roster.load(resolve);
+            });
+        }).then(function () {
+            expect(roster.ids()).toEqual(['BCDF', 'DGKR']);
+            expect(roster.get('DGKR').meta.nickname).toBe('Dee');
+            expect(config.get('robots')).toEqual(['BCDF', 'DGKR']);
+        });
+    });
+
+    describe("when storage fails", function () {
+        var reported;
+        // The robot manager reports the robots it can't connect, too.
+        var onError = function (error) {
+            if (error.is('linkbotjs', 'STORAGE_FAILED')) {
+                reported.push(error);
+            }
+        };
+        var saves;
+
+        // A backend which can't be read, if unreadable, and can't be written.
+        function failing (unreadable) {
+            return {
+                name: 'failing',
+                load: function (callback) {
+                    setTimeout(function () {
+                        callback(unreadable ? new Error('unreadable') : null);
+                    }, 0);
+                },
+                save: function (state, callback) {
+                    saves++;
+                    setTimeout(function () {
+                        callback(new Error('full'));
+                    }, 0);
+                }
+            };
+        }
+
+        beforeEach(function () {
+            reported = [];
+            saves = 0;
+            errors.event.on('error', onError);
+        });
+
+        afterEach(function () {
+            errors.event.off('error', onError);
+            storage.setBackend(storage.backends.memory());
+        });
+
+        it("keeps the change, and reports storage out of sync", function () {
+            set(['BCDF']);
+            return stored().then(function () {
+                storage.setBackend(failing(false));
+                set(['BCDF', 'DGKR']);
+                return stored();
+            }).then(function () {
+                expect(roster.ids()).toEqual(['BCDF', 'DGKR']);
+                expect(reported.length).toBe(1);
+                expect(reported[0].message).toMatch(/out of sync/);
+            });
+        });
+
+        it("doesn't overwrite storage it couldn't read", function () {
+            set(['BCDF']);
+            return stored().then(function () {
+                storage.setBackend(failing(true));
+                config.set('robots', []);
+                return new Promise(function (resolve) {
+                    roster.load(resolve);
+                });
+            }).then(function () {
+                expect(saves).toBe(0);
+                expect(reported.length).toBe(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,105 @@
+var linkbot = require('../src/jsx/linkbot.jsx');
+
+describe("the simulator", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var bot;
+
+    beforeAll(function () {
+        return connectedRobot('SMB1', 'L').then(function (connected) {
+            bot = connected;
+        });
+    });
+
+    it("connects a robot with its form factor", function () {
+        expect(bot.status).toBe('ready');
+        expect(bot.formFactor).toBe('L');
+        expect(bot.joints).toEqual([1, 2]);
+    });
+
+    it("turns joints, with encoder and joint events", function () {
+        var encoders = 0;
+        var dispose = bot.on('encoder', function () {
+            encoders++;
+        }, {joint: 1});
+        return bot.moveWait({1: 45}).then(function () {
+            dispose();
+            expect(jointAngle('SMB1', 1)).toBeCloseTo(45, 0);
+            expect(encoders).toBeGreaterThan(0);
+        });
+    });
+
+    it("keeps the LED colour it is given", function () {
+        return bot.color(255, 0, 128).then(function () {
+            return bot.getColor();
+        }).then(function (color) {
+            expect(color).toEqual({red: 255, green: 0, blue: 128});
+        });
+    });
+
+    it("presses buttons", function (done) {
+        var dispose = bot.on('buttonUp', function (event) {
+            dispose();
+            expect(event.button).toBe(bot.enums.Button.A);
+            done();
+        });
+        simulator.pressButton('SMB1', bot.enums.Button.A, 50);
+    });
+});
+
+describe("the simulator's faults", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var slow, quick;
+
+    beforeAll(function () {
+        return Promise.all([connectedRobot('SMS1'), connectedRobot('SMQ1')]).then(function (bots) {
+            slow = bots[0];
+            quick = bots[1];
+        });
+    });
+
+    afterEach(function () {
+        simulator.faults.clear();
+    });
+
+    function timed (promise) {
+        var start = Date.now();
+        return promise.then(function () {
+            return Date.now() - start;
+        });
+    }
+
+    it("add latency to one robot's requests", function () {
+        simulator.faults.delayRequest('getLedColor', 200, {id: 'SMS1', times: Infinity});
+        return Promise.all([timed(slow.getColor()), timed(quick.getColor())]).then(function (times) {
+            expect(times[0]).toBeGreaterThan(190);
+            expect(times[1]).toBeLessThan(150);
+        });
+    });
+
+    it("add latency to a number of requests", function () {
+        simulator.faults.delayRequest('getLedColor', 200);
+        return timed(slow.getColor()).then(function (first) {
+            expect(first).toBeGreaterThan(190);
+            return timed(slow.getColor());
+        }).then(function (second) {
+            expect(second).toBeLessThan(150);
+        });
+    });
+
+    it("fail a robot's answer to a ping of every robot", function () {
+        var answers = {};
+        var listener = function (error, id) {
+            answers[id] = error.code;
+        };
+        asyncBaroboBridge.robotEvent.connect(listener);
+        simulator.faults.robotPingError('SMS1', 'INCOMPATIBLE_FIRMWARE');
+        asyncBaroboBridge.sendRobotPing([], linkbot.addCallback(function () {}));
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 100);
+        }).then(function () {
+            asyncBaroboBridge.robotEvent.disconnect(listener);
+            expect(answers.SMS1).toBe(simulator.bridgeError('baromesh', 'INCOMPATIBLE_FIRMWARE').code);
+            expect(answers.SMQ1).toBe(0);
+        });
+    });
+});
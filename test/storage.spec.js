@@ -0,0 +1,99 @@
+var storage = require('../src/jsx/storage.jsx');
+var backends = require('../src/jsx/storage-backends.jsx');
+
+describe("storage", function () {
+    function getAll () {
+        return new Promise(function (resolve) {
+            storage.getAll(function (rows, error) {
+                resolve({rows: rows, error: error});
+            });
+        });
+    }
+
+    // The robots kept so far are put back afterward.
+    var kept;
+
+    beforeAll(function () {
+        return getAll().then(function (result) {
+            kept = result.rows;
+        });
+    });
+
+    afterAll(function () {
+        storage.setBackend(backends.memory());
+        return new Promise(function (resolve) {
+            storage.replaceAll(kept, resolve);
+        });
+    });
+
+    it("carries on after a backend throws", function () {
+        storage.setBackend({
+            name: 'throwing',
+            load: function () {
+                throw new Error('closed');
+            },
+            save: function () {
+                throw new Error('closed');
+            }
+        });
+        return Promise.all([getAll(), getAll()]).then(function (results) {
+            results.forEach(function (result) {
+                expect(result.rows).toEqual([]);
+                expect(result.error.message).toBe('closed');
+            });
+            storage.setBackend(backends.memory());
+            return getAll();
+        }).then(function (result) {
+            expect(result.error).toBeUndefined();
+        });
+    });
+});
+
+describe("the IndexedDB backend", function () {
+    var request;
+    var db;
+
+    beforeEach(function () {
+        db = {
+            closed: false,
+            close: function () {
+                db.closed = true;
+            }
+        };
+        request = {result: db};
+        window.indexedDB = {
+            open: function () {
+                return request;
+            }
+        };
+    });
+
+    afterEach(function () {
+        delete window.indexedDB;
+    });
+
+    it("gives up when another tab blocks it, and closes the database once it opens", function () {
+        var calls = [];
+        backends.openIndexedDB(function (error, backend) {
+            calls.push({error: error, backend: backend});
+        });
+        request.onblocked();
+        request.onsuccess();
+        expect(calls.length).toBe(1);
+        expect(calls[0].error.message).toMatch(/blocked/);
+        expect(db.closed).toBe(true);
+    });
+
+    it("closes the database for another tab to upgrade it", function () {
+        var opened;
+        backends.openIndexedDB(function (error, backend) {
+            opened = backend;
+        });
+        request.onsuccess();
+        db.onversionchange();
+        expect(db.closed).toBe(true);
+        expect(function () {
+            opened.load(function () {});
+        }).toThrowError(/upgrade/);
+    });
+});
@@ -0,0 +1,104 @@
+var errors = require('../src/jsx/errors.jsx');
+
+describe("waiting for motion", function () {
+    var simulator = asyncBaroboBridge.simulator;
+    var bot;
+
+    beforeAll(function () {
+        return connectedRobot('WTS1', 'I').then(function (connected) {
+            bot = connected;
+        });
+    });
+
+    it("resolves once the joints stop", function () {
+        return bot.moveWait({1: 20, 3: -20}).then(function () {
+            expect(bot.jointState(1)).not.toBe('MOVING');
+        });
+    });
+
+    it("resolves two waits at once", function () {
+        return Promise.all([bot.moveWait({1: 10}), bot.moveWait({3: 30})]);
+    });
+
+    describe("when the dongle is unplugged", function () {
+        var other;
+
+        beforeAll(function () {
+            return connectedRobot('WTS2', 'I').then(function (connected) {
+                other = connected;
+            });
+        });
+
+        afterAll(function () {
+            simulator.plugDongle();
+            return Promise.all([bot, other].map(function (robot) {
+                return new Promise(function (resolve) {
+                    robot.connect(resolve);
+                });
+            }));
+        });
+
+        it("fails every wait, and disconnects every robot", function () {
+            var failed = function (promise) {
+                return promise.then(function () {
+                    fail('the wait succeeded');
+                }, function (error) {
+                    return error;
+                });
+            };
+            var waits = [failed(bot.moveWait({1: 720})), failed(bot.moveWait({3: 720}))];
+            setTimeout(simulator.unplugDongle, 100);
+            return Promise.all(waits).then(function (reasons) {
+                reasons.forEach(function (reason) {
+                    expect(reason instanceof errors.RobotOfflineError).toBe(true);
+                });
+                expect(bot.status).toBe('offline');
+                expect(other.status).toBe('offline');
+            });
+        });
+    });
+
+    describe("when the robot drops and reconnects", function () {
+        var dropped;
+
+        beforeAll(function () {
+            return connectedRobot('WTS3', 'I').then(function (connected) {
+                dropped = connected;
+                // Switched off and on, the robot forgets which events it was
+                // sending, and the ping which finds it gone marks it offline.
+                simulator.addRobot('WTS3', {formFactor: 'I'});
+                return new Promise(function (resolve) {
+                    dropped.connect(resolve);
+                });
+            }).then(function () {
+                return new Promise(function (resolve) {
+                    dropped.connect(resolve);
+                });
+            });
+        });
+
+        afterEach(function () {
+            dropped.requestTimeout = null;
+        });
+
+        it("still resolves once the joints stop", function () {
+            expect(dropped.status).toBe('ready');
+            return dropped.moveWait({1: 30}).then(function () {
+                expect(jointAngle('WTS3', 1)).toBeCloseTo(30, 0);
+            });
+        });
+
+        it("gives up after the request timeout if a joint event is lost", function () {
+            dropped.requestTimeout = 300;
+            var start = Date.now();
+            var wait = dropped.moveWait({1: 10});
+            simulator.robot('WTS3').events.joint = false;
+            return wait.then(function () {
+                fail('the wait succeeded');
+            }, function (error) {
+                expect(error instanceof errors.TimeoutError).toBe(true);
+                expect(Date.now() - start).toBeGreaterThan(250);
+            });
+        });
+    });
+});